@@ -0,0 +1,186 @@
+// models/InferencePool.js - Worker thread pool for image preprocessing and ONNX inference
+const { Worker } = require('worker_threads');
+const path = require('path');
+
+const WORKER_SCRIPT = path.join(__dirname, 'inferenceWorker.js');
+
+class InferencePool {
+    constructor(options = {}) {
+        this.size = options.size || 1;
+        this.maxQueueSize = options.maxQueueSize ?? 20;
+        // A task still running after this long fails and its worker is replaced (0 = no limit)
+        this.taskTimeoutMs = options.taskTimeoutMs ?? 0;
+        // Passed to each worker's ModelManager
+        this.workerOptions = options.workerOptions || {};
+
+        this.workers = [];
+        this.queue = [];
+        // Background tasks (shadow runs) only get a worker when no patient task waits,
+        // and never take a slot in the patient queue
+        this.backgroundQueue = [];
+        this.nextTaskId = 1;
+
+        // Counters for /health
+        this.completed = 0;
+        this.failed = 0;
+        this.rejected = 0;
+        this.timedOut = 0;
+        this.totalTaskMs = 0;
+        this.closed = false;
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawnWorker());
+        }
+    }
+
+    spawnWorker() {
+        const worker = new Worker(WORKER_SCRIPT, { workerData: this.workerOptions });
+        const slot = { worker, task: null };
+
+        worker.on('message', (message) => {
+            const task = slot.task;
+            slot.task = null;
+            worker.unref();
+            if (!task) return;
+            clearTimeout(task.timer);
+
+            const taskMs = Date.now() - task.startedAt;
+            this.totalTaskMs += taskMs;
+
+            if (message.error) {
+                this.failed++;
+                const error = new Error(message.error);
+                if (message.code) error.code = message.code;
+                task.reject(error);
+            } else {
+                this.completed++;
+                task.resolve(message.result);
+            }
+            this.dispatch();
+        });
+
+        worker.on('error', (error) => {
+            console.error('❌ Inference worker crashed:', error.message);
+            if (slot.task) {
+                this.failed++;
+                clearTimeout(slot.task.timer);
+                slot.task.reject(error);
+                slot.task = null;
+            }
+        });
+
+        worker.on('exit', (code) => {
+            if (this.closed) return;
+            const index = this.workers.indexOf(slot);
+            if (index !== -1) {
+                console.warn(`⚠️ Inference worker exited (code ${code}) - restarting`);
+                this.workers[index] = this.spawnWorker();
+                this.dispatch();
+            }
+        });
+
+        // Idle workers must not keep the process alive; busy ones are ref'd in dispatch()
+        worker.unref();
+        return slot;
+    }
+
+    // Queue a prediction; rejects with code QUEUE_FULL when its queue is at capacity.
+    // options.background queues it behind every regular task.
+    run(payload, options = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Inference pool is closed'));
+        }
+
+        const queue = options.background ? this.backgroundQueue : this.queue;
+        if (queue.length >= this.maxQueueSize) {
+            const error = new Error('Inference queue is full');
+            error.code = 'QUEUE_FULL';
+            if (!options.background) {
+                this.rejected++;
+                error.retryAfter = this.estimateRetryAfter();
+            }
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            queue.push({ id: this.nextTaskId++, payload, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        for (const slot of this.workers) {
+            if (this.queue.length === 0 && this.backgroundQueue.length === 0) return;
+            if (slot.task) continue;
+
+            const task = this.queue.length > 0 ? this.queue.shift() : this.backgroundQueue.shift();
+            task.startedAt = Date.now();
+            slot.task = task;
+            slot.worker.ref();
+            slot.worker.postMessage({ id: task.id, ...task.payload });
+            if (this.taskTimeoutMs > 0) {
+                task.timer = setTimeout(() => this.timeOutTask(slot, task), this.taskTimeoutMs);
+                task.timer.unref();
+            }
+        }
+    }
+
+    // A hung worker would hold its task and slot forever: fail the task and swap the
+    // worker for a fresh one (the old one's exit no longer maps to a slot)
+    timeOutTask(slot, task) {
+        if (slot.task !== task) return;
+
+        const index = this.workers.indexOf(slot);
+        console.error(`❌ Inference task ${task.id} timed out after ${this.taskTimeoutMs}ms - replacing worker`);
+        slot.task = null;
+        this.failed++;
+        this.timedOut++;
+        this.totalTaskMs += Date.now() - task.startedAt;
+
+        const error = new Error(`Inference timed out after ${this.taskTimeoutMs}ms`);
+        error.code = 'INFERENCE_TIMEOUT';
+        task.reject(error);
+
+        if (index !== -1) {
+            this.workers[index] = this.spawnWorker();
+        }
+        slot.worker.terminate();
+        this.dispatch();
+    }
+
+    // Seconds until a slot is likely to free up, based on the average task time
+    estimateRetryAfter() {
+        const finished = this.completed + this.failed;
+        const avgTaskMs = finished > 0 ? this.totalTaskMs / finished : 2000;
+        const waitMs = avgTaskMs * (this.queue.length + 1) / this.workers.length;
+        return Math.max(1, Math.ceil(waitMs / 1000));
+    }
+
+    getStats() {
+        const busyWorkers = this.workers.filter(slot => slot.task).length;
+        const finished = this.completed + this.failed;
+        return {
+            workers: this.workers.length,
+            busyWorkers,
+            utilisation: this.workers.length ? busyWorkers / this.workers.length : 0,
+            queueDepth: this.queue.length,
+            backgroundQueueDepth: this.backgroundQueue.length,
+            maxQueueSize: this.maxQueueSize,
+            completed: this.completed,
+            failed: this.failed,
+            rejected: this.rejected,
+            timedOut: this.timedOut,
+            avgTaskMs: finished > 0 ? Math.round(this.totalTaskMs / finished) : null
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        const pending = [...this.queue.splice(0), ...this.backgroundQueue.splice(0)];
+        pending.forEach(task => task.reject(new Error('Inference pool is closed')));
+        this.workers.forEach(slot => clearTimeout(slot.task?.timer));
+        await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+    }
+}
+
+module.exports = InferencePool;
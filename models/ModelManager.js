@@ -3,189 +3,727 @@ const ort = require('onnxruntime-node');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const os = require('os');
+const { fileURLToPath } = require('url');
+const InferencePool = require('./InferencePool');
+const { UNCALIBRATED, applyCalibration } = require('./calibration');
+const { DEFAULT_SPEC, resolveSpec, inputDims, nonAnemicProbability } = require('./preprocessing');
+const { HISTOGRAM_BINS } = require('./drift');
 
-class ModelManager {
-    constructor() {
-        this.sessionONNX = null;
-        this.modelLoadAttempts = 0;
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+// Network errors that mean the host can't be reached at all - retrying won't help
+const UNREACHABLE_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Models known to the server out of the box. Additional models (e.g. a
+// blood-smear malaria model) can be passed to the constructor or added later
+// with registerModel().
+//
+// `source` may be a Hugging Face / internal mirror URL, a file:// URL or a plain
+// local path, so offline clinics can point at a model shipped on disk.
+//
+// Downloads are only cached when they match `sha256`. Fill in the digest published
+// with each release; until it is set, EYELID_ANEMIA_MODEL_SHA256 (or
+// ALLOW_UNPINNED_MODEL=true) is needed to download the default model.
+const EYELID_ANEMIA_MODEL_SHA256 = null;
+
+const DEFAULT_MODELS = [
+    {
+        name: 'eyelid-anemia',
+        version: '1.0.0',
+        repository: 'syntichemusawu/MalariaD',
+        source: process.env.EYELID_ANEMIA_MODEL_SOURCE ||
+            'https://huggingface.co/syntichemusawu/MalariaD/resolve/main/eyelid_anemia_model.onnx',
+        fileName: 'eyelid_anemia_model.onnx',
+        localPath: process.env.EYELID_ANEMIA_MODEL_LOCAL_PATH || undefined,
+        sha256: process.env.EYELID_ANEMIA_MODEL_SHA256 || EYELID_ANEMIA_MODEL_SHA256
+    }
+];
+
+// Quality gate: images are scored on a copy no larger than this (px)
+const QUALITY_ANALYSIS_SIZE = 512;
+
+const DEFAULT_QUALITY_THRESHOLDS = {
+    minSharpness: 15,         // Laplacian variance
+    minBrightness: 40,        // mean luma, 0-255
+    maxBrightness: 225,
+    maxClippedFraction: 0.25, // share of pixels that are pure black or white
+    maxColourCast: 0.12       // dominant channel offset from neutral, 0-1
+};
+
+// Drift monitoring: input statistics are taken from a copy no larger than this (px)
+const INPUT_STATS_SIZE = 256;
+
+// Conjunctiva detection: colour segmentation runs on a copy no larger than this (px)
+const ROI_ANALYSIS_SIZE = 160;
+const ROI_REDNESS_THRESHOLD = 0.15; // (r - g) / (r + g + b) for a pixel to count as conjunctiva
+const ROI_MIN_COVERAGE = 0.02;      // smaller regions are treated as "not found"
+const ROI_PADDING = 0.1;            // context kept around the detected region
+
+// Explainability: occlusion sensitivity on a grid over the model input
+const OCCLUSION_GRID = 7;          // 7x7 patches (32px on a 224px input)
+const OCCLUSION_CHUNK_SIZE = 16;   // occluded copies per forward pass for dynamic-batch models
+const HEATMAP_MAX_WIDTH = 512;     // overlay PNG is scaled down to this width
+const HEATMAP_MAX_ALPHA = 0.6;     // opacity of the most influential patch
+
+// Test-time augmentation: extra views of the photo, run next to the plain one, whose
+// spread shows how stable a prediction is
+const TTA_VIEWS = [
+    { name: 'flip', flop: true },
+    { name: 'crop-centre', crop: { scale: 0.9, x: 0.5, y: 0.5 } },
+    { name: 'crop-top-left', crop: { scale: 0.9, x: 0, y: 0 } },
+    { name: 'crop-bottom-right', crop: { scale: 0.9, x: 1, y: 1 } },
+    { name: 'brighter', brightness: 1.1 },
+    { name: 'darker', brightness: 0.9 },
+    { name: 'flip-crop-centre', flop: true, crop: { scale: 0.9, x: 0.5, y: 0.5 } }
+];
+
+// Above either limit a prediction is too unstable to stand without a doctor's review
+const DEFAULT_UNCERTAINTY_THRESHOLDS = {
+    maxStd: 0.1,          // standard deviation of P(Anemic) across views
+    maxDisagreement: 0.25 // share of views whose own prediction differs from the final one
+};
+
+// Blue -> green -> yellow -> red for an importance value in [0, 1]
+const heatColour = (value) => {
+    const channel = (offset) => Math.round(255 * Math.min(1, Math.max(0, 1.5 - Math.abs(4 * value - offset))));
+    return [channel(3), channel(2), channel(1)];
+};
+
+// Why no prediction could be made - shown to patients and doctors instead of a result
+const INCONCLUSIVE_MESSAGES = {
+    MODEL_NOT_LOADED: 'The screening model is not available right now, so this photo could not be analysed.',
+    PREPROCESSING_FAILED: 'This photo could not be processed. Please try again with a different photo.',
+    INFERENCE_FAILED: 'The analysis could not be completed. Please try again later.'
+};
+
+// User-facing explanations for each rejection reason code
+const QUALITY_MESSAGES = {
+    IMAGE_TOO_BLURRY: 'The photo is too blurry. Hold the camera steady and tap to focus on the eyelid.',
+    IMAGE_TOO_DARK: 'The photo is too dark. Move to better light or turn on the flash.',
+    IMAGE_OVEREXPOSED: 'The photo is overexposed. Avoid direct sunlight or flash glare on the eyelid.',
+    IMAGE_COLOUR_CAST: 'The colours look unnatural. Use daylight or white light and turn off camera filters.'
+};
+
+// Upload formats, recognised by their leading bytes - never by the client's
+// mimetype or file extension
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const detectImageFormat = (header) => {
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+    if (header.length >= 8 && header.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+    if (header.length >= 6 && ['GIF87a', 'GIF89a'].includes(header.toString('ascii', 0, 6))) return 'gif';
+    if (header.length >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (header.length >= 12 && header.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(header.toString('ascii', 8, 12))) return 'heif';
+    return null;
+};
+
+// Sanitised uploads keep lossless formats lossless; everything else becomes JPEG
+const SANITISED_FORMATS = { jpeg: 'jpeg', png: 'png', gif: 'png', webp: 'webp', heif: 'jpeg' };
+const SANITISED_QUALITY = 95;
+
+// Images are passed around as a file path or as the encoded bytes (memory uploads)
+const describeImage = (image) => (typeof image === 'string' ? image : `<${image.length}-byte image buffer>`);
+
+// Width and height as displayed - EXIF orientations 5-8 swap the stored axes
+const orientedSize = ({ width, height, orientation }) =>
+    (orientation >= 5 ? { width: height, height: width } : { width, height });
+
+// Errors that should stop the retry loop (missing file, unreachable host)
+const createSourceError = (state, message) => {
+    const error = new Error(message);
+    error.state = state;
+    error.permanent = true;
+    return error;
+};
+
+// Classify a model source string as a local file or an HTTP(S) location
+const parseModelSource = (source) => {
+    if (!source) {
+        return { type: 'none' };
+    }
+    if (/^https?:\/\//i.test(source)) {
+        return { type: 'http', url: source };
+    }
+    if (/^file:\/\//i.test(source)) {
+        return { type: 'file', path: fileURLToPath(source) };
+    }
+    return { type: 'file', path: path.resolve(source) };
+};
+
+// Emits 'modelLoaded' (entry) whenever a model version finishes loading, including
+// automatic retries after an outage
+class ModelManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
         this.maxLoadAttempts = 3;
-        this.isLoading = false;
-        
-        // Your Hugging Face model URL
-        this.modelPath = 'https://huggingface.co/syntichemusawu/MalariaD/resolve/main/eyelid_anemia_model.onnx';
+
+        // Registry: model name -> Map(version -> entry)
+        this.models = new Map();
+        // Falls back to the first registered model when not set explicitly
+        this.defaultModelName = options.defaultModel || null;
+
+        // Worker pool for preprocessing + inference (0 workers = run in-process)
+        this.inferenceWorkers = options.inferenceWorkers ?? Math.max(1, Math.min(2, os.cpus().length - 1));
+        this.maxQueueSize = options.maxQueueSize ?? 20;
+        // A task running longer than this is failed and its worker replaced (0 = no limit)
+        this.taskTimeoutMs = options.taskTimeoutMs ?? 120000;
+        this.pool = null;
+
+        // Quality gate applied before inference
+        this.qualityGate = options.qualityGate ?? true;
+        this.qualityThresholds = { ...DEFAULT_QUALITY_THRESHOLDS, ...(options.qualityThresholds || {}) };
+
+        // Region-of-interest step: 'colour' crops to the conjunctiva, 'none' feeds the whole photo
+        this.roiMethod = options.roiMethod || 'colour';
+
+        // Occlusion heatmaps for predictions that ask for one. Off unless enabled: each
+        // costs OCCLUSION_GRID^2 extra forward passes on the shared pool.
+        this.heatmaps = options.heatmaps ?? false;
+
+        // Test-time augmentation for single-image predictions (can be set per call)
+        this.tta = options.tta ?? false;
+        this.uncertaintyThresholds = { ...DEFAULT_UNCERTAINTY_THRESHOLDS, ...(options.uncertaintyThresholds || {}) };
         
-        // Cache directory for downloaded model
-        this.cacheDir = path.join(__dirname, '.cache');
-        this.cachedModelPath = path.join(this.cacheDir, 'eyelid_anemia_model.onnx');
+        // Cache downloads of models without a pinned SHA-256 (unverified - opt-in only)
+        this.allowUnpinned = options.allowUnpinned ?? false;
+
+        // Cache directory for downloaded models
+        this.cacheDir = options.cacheDir || path.join(__dirname, '.cache');
         
-        // Local fallback path
-        this.localModelPath = path.join(__dirname, 'eyelid_anemia_model.onnx');
+        // Local fallback directory
+        this.localModelDir = options.localModelDir || __dirname;
+
+        (options.models || DEFAULT_MODELS).forEach(model => this.registerModel(model));
+
+        // Candidate model run next to the live one on real traffic, for comparison only
+        this.shadowModel = null;
+        if (options.shadowModel) {
+            this.setShadowModel(options.shadowModel);
+        }
+    }
+
+    registerModel(definition) {
+        const { name, version, fileName } = definition;
+        if (!name || !version || !fileName) {
+            throw new Error('Model definition requires name, version and fileName');
+        }
+
+        if (!this.models.has(name)) {
+            this.models.set(name, new Map());
+        }
+        const versions = this.models.get(name);
+        if (versions.has(version)) {
+            throw new Error(`Model already registered: ${name}@${version}`);
+        }
+
+        const entry = {
+            name,
+            version,
+            repository: definition.repository || null,
+            // `url` is accepted for definitions written before sources were configurable
+            source: definition.source || definition.url || null,
+            fileName,
+            // Pinned SHA-256 of the model file. Without it a download is only cached
+            // when allowUnpinned is set.
+            sha256: definition.sha256 ? definition.sha256.toLowerCase() : null,
+            // 'configured', or 'recorded' when taken from a hash recorded at first download
+            pinSource: definition.sha256 ? 'configured' : null,
+            cachedModelPath: path.join(this.cacheDir, name, version, fileName),
+            localModelPath: definition.localPath || path.join(this.localModelDir, fileName),
+            // In-process session - only kept when there is no worker pool
+            session: null,
+            // File the model was loaded from; workers open their own session on it
+            modelPath: null,
+            inputNames: [],
+            outputNames: [],
+            loadAttempts: 0,
+            isLoading: false,
+            loadedFrom: 'none',
+            // pending | loading | loaded | missing | unreachable | unpinned | incompatible | failed
+            state: 'pending',
+            lastError: null,
+            // Active probability calibration and decision threshold
+            calibration: UNCALIBRATED,
+            // Configured preprocessing (see preprocessing.js); resolved against the model on load
+            preprocessingConfig: definition.preprocessing || null,
+            preprocessing: null
+        };
+
+        versions.set(version, entry);
+        if (!this.defaultModelName) {
+            this.defaultModelName = name;
+        }
+        // The most recently registered version becomes the active one unless an
+        // earlier registration asked to stay active (active: true) or this one
+        // asked not to be (active: false, e.g. a shadow candidate).
+        if (definition.active === true) {
+            versions.activeVersion = version;
+            versions.activePinned = true;
+        } else if (!versions.activeVersion || (definition.active !== false && !versions.activePinned)) {
+            versions.activeVersion = version;
+        }
+
+        console.log(`📝 Registered model ${name}@${version}`);
+        return entry;
+    }
+
+    // Install a calibration profile ({ profileId, version, method, params, threshold })
+    setCalibration(name, version, calibration) {
+        const entry = this.resolveModel(name, version);
+        entry.calibration = calibration ? { ...UNCALIBRATED, ...calibration } : UNCALIBRATED;
+        console.log(`🎯 Calibration for ${entry.name}@${entry.version}:`, {
+            method: entry.calibration.method,
+            threshold: entry.calibration.threshold,
+            version: entry.calibration.version
+        });
+        return entry.calibration;
+    }
+
+    // Designate a shadow model. `definition` either names a registered version
+    // ({ name, version }) or describes a new one ({ version, source, sha256 }).
+    setShadowModel(definition) {
+        const name = definition.name || this.defaultModelName;
+        if (!definition.version) {
+            throw new Error('Shadow model requires a version');
+        }
+
+        if (!this.hasModel(name, definition.version)) {
+            const source = definition.source || definition.url;
+            if (!source) {
+                throw new Error(`Shadow model ${name}@${definition.version} is not registered and has no source`);
+            }
+            const parsed = parseModelSource(source);
+            const fileName = definition.fileName ||
+                path.basename(parsed.type === 'http' ? new URL(source).pathname : parsed.path);
+            this.registerModel({
+                ...definition,
+                name,
+                fileName,
+                // Keep the local fallback per version so a candidate sharing the live
+                // model's file name can never fall back to the live model itself
+                localPath: definition.localPath || path.join(this.localModelDir, definition.version, fileName),
+                active: false
+            });
+        }
+
+        const entry = this.resolveModel(name, definition.version);
+        if (this.models.get(name).activeVersion === entry.version) {
+            throw new Error(`Shadow model ${name}@${entry.version} is the live version`);
+        }
+
+        this.shadowModel = { name, version: entry.version };
+        console.log(`🧪 Shadow model: ${name}@${entry.version}`);
+        return entry;
+    }
+
+    getShadowEntry() {
+        return this.shadowModel ? this.resolveModel(this.shadowModel.name, this.shadowModel.version) : null;
+    }
+
+    hasModel(name, version) {
+        const versions = this.models.get(name || this.defaultModelName);
+        if (!versions) return false;
+        return !version || versions.has(version);
+    }
+
+    resolveModel(name, version) {
+        const modelName = name || this.defaultModelName;
+        const versions = this.models.get(modelName);
+        if (!versions) {
+            throw new Error(`Unknown model: ${modelName}`);
+        }
+
+        const entry = versions.get(version || versions.activeVersion);
+        if (!entry) {
+            throw new Error(`Unknown version for model ${modelName}: ${version}`);
+        }
+        return entry;
+    }
+
+    getAllEntries() {
+        const entries = [];
+        for (const versions of this.models.values()) {
+            entries.push(...versions.values());
+        }
+        return entries;
     }
 
     async initialize() {
-        console.log('🚀 Initializing ModelManager with Hugging Face model...');
+        console.log(`🚀 Initializing ModelManager with ${this.getAllEntries().length} registered model(s)...`);
         
         // Create cache directory if it doesn't exist
         if (!fs.existsSync(this.cacheDir)) {
             fs.mkdirSync(this.cacheDir, { recursive: true });
             console.log('✅ Created cache directory');
         }
+        this.migrateLegacyCache();
 
-        // Load the model
+        // Started first: with workers, models are only ever run inside them
+        if (this.inferenceWorkers > 0 && !this.pool) {
+            this.pool = new InferencePool({
+                size: this.inferenceWorkers,
+                maxQueueSize: this.maxQueueSize,
+                taskTimeoutMs: this.taskTimeoutMs,
+                workerOptions: this.getWorkerOptions()
+            });
+            console.log(`✅ Started inference pool with ${this.inferenceWorkers} worker(s)`);
+        }
+
+        // Load the models
         await this.loadModel();
         
         return this.getModelStatus();
     }
 
-    async loadModel() {
-        if (this.isLoading) {
-            console.log('🔄 Model loading already in progress...');
-            return this.waitForLoad();
+    // Before the registry the cache held one file, <cacheDir>/<fileName>. Move it to the
+    // per-version path of the model it came from (checked like any cached file when the
+    // model loads), or drop it if that version is already cached. Hashes that earlier
+    // releases recorded on first download (<cached file>.sha256) are no longer written,
+    // but an existing one pins its cached file until a hash is configured.
+    migrateLegacyCache() {
+        for (const entry of this.getAllEntries()) {
+            const recordedPath = `${entry.cachedModelPath}.sha256`;
+            if (!entry.sha256 && fs.existsSync(recordedPath) && fs.existsSync(entry.cachedModelPath)) {
+                const recorded = fs.readFileSync(recordedPath, 'utf8').trim().toLowerCase();
+                if (/^[0-9a-f]{64}$/.test(recorded)) {
+                    entry.sha256 = recorded;
+                    entry.pinSource = 'recorded';
+                    console.warn(`⚠️ ${entry.name}@${entry.version} is pinned by the hash recorded at first download - configure its SHA-256 to replace it`);
+                }
+            }
+
+            const legacyPath = path.join(this.cacheDir, entry.fileName);
+            if (!fs.existsSync(legacyPath) || !fs.statSync(legacyPath).isFile()) continue;
+
+            const versions = this.models.get(entry.name);
+            if (entry.name !== this.defaultModelName || versions.activeVersion !== entry.version) continue;
+
+            try {
+                if (fs.existsSync(entry.cachedModelPath)) {
+                    fs.unlinkSync(legacyPath);
+                    console.log(`🧹 Removed legacy cached model ${legacyPath}`);
+                } else {
+                    fs.mkdirSync(path.dirname(entry.cachedModelPath), { recursive: true });
+                    fs.renameSync(legacyPath, entry.cachedModelPath);
+                    console.log(`📦 Moved legacy cached model to ${entry.cachedModelPath}`);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not migrate legacy cached model ${legacyPath}:`, error.message);
+            }
         }
+    }
+
+    // Load every registered model, or a single one when name is given
+    async loadModel(name, version) {
+        const entries = name ? [this.resolveModel(name, version)] : this.getAllEntries();
 
-        this.modelLoadAttempts++;
-        this.isLoading = true;
+        // Load one at a time to keep peak memory down
+        for (const entry of entries) {
+            await this.loadModelEntry(entry);
+        }
+    }
+
+    async createSession(modelPath) {
+        return ort.InferenceSession.create(modelPath, {
+            executionProviders: ['cpu'],
+            logSeverityLevel: 0
+        });
+    }
+
+    async loadModelEntry(entry) {
+        const label = `${entry.name}@${entry.version}`;
+
+        if (entry.isLoading) {
+            console.log(`🔄 Model ${label} loading already in progress...`);
+            return this.waitForLoad(entry);
+        }
+
+        entry.loadAttempts++;
+        entry.isLoading = true;
+        entry.state = 'loading';
         
-        console.log(`🔄 Attempting to load model (attempt ${this.modelLoadAttempts}/${this.maxLoadAttempts})`);
+        console.log(`🔄 Attempting to load model ${label} (attempt ${entry.loadAttempts}/${this.maxLoadAttempts})`);
         
         try {
-            // Try to load from cache first
-            if (fs.existsSync(this.cachedModelPath)) {
-                console.log('📦 Loading model from cache...');
-                const stats = fs.statSync(this.cachedModelPath);
-                console.log('📊 Cached model info:', {
-                    path: this.cachedModelPath,
-                    size: stats.size,
-                    sizeInMB: (stats.size / (1024 * 1024)).toFixed(2),
-                    modified: stats.mtime
-                });
+            const modelPath = await this.resolveModelFile(entry);
 
-                this.sessionONNX = await ort.InferenceSession.create(this.cachedModelPath, {
-                    executionProviders: ['cpu'],
-                    logSeverityLevel: 0
-                });
-                
-                console.log('✅ Model loaded successfully from cache!');
-                this.logModelInfo();
-                this.isLoading = false;
-                return this.sessionONNX;
-            }
-
-            // Download from Hugging Face
-            console.log('📥 Downloading model from Hugging Face...');
-            console.log('🔗 Model URL:', this.modelPath);
-            
-            await this.downloadModel();
-            
-            // Load the downloaded model
             console.log('🤖 Creating ONNX inference session...');
-            this.sessionONNX = await ort.InferenceSession.create(this.cachedModelPath, {
-                executionProviders: ['cpu'],
-                logSeverityLevel: 0
-            });
+            const session = await this.createSession(modelPath);
+            await this.attachSession(entry, session, modelPath);
+            entry.state = 'loaded';
+            entry.lastError = null;
             
-            console.log('✅ Model loaded successfully from Hugging Face!');
-            this.logModelInfo();
-            this.isLoading = false;
-            return this.sessionONNX;
+            console.log(`✅ Model ${label} loaded successfully (${entry.loadedFrom})!`);
+            this.logModelInfo(entry);
+            entry.isLoading = false;
+            this.emit('modelLoaded', entry);
+            return entry;
 
         } catch (error) {
-            console.error(`❌ Model loading attempt ${this.modelLoadAttempts} failed:`, error.message);
+            console.error(`❌ Model ${label} loading attempt ${entry.loadAttempts} failed:`, error.message);
             
             // Try local fallback
-            if (fs.existsSync(this.localModelPath)) {
+            if (fs.existsSync(entry.localModelPath)) {
                 console.log('🔄 Attempting to load local fallback model...');
                 try {
-                    this.sessionONNX = await ort.InferenceSession.create(this.localModelPath, {
-                        executionProviders: ['cpu'],
-                        logSeverityLevel: 0
-                    });
-                    console.log('✅ Local fallback model loaded successfully!');
-                    this.logModelInfo();
-                    this.isLoading = false;
-                    return this.sessionONNX;
+                    if (entry.sha256) {
+                        const localHash = await this.hashFile(entry.localModelPath);
+                        if (localHash !== entry.sha256) {
+                            throw new Error(`Checksum mismatch for local model (got ${localHash})`);
+                        }
+                    }
+                    const session = await this.createSession(entry.localModelPath);
+                    await this.attachSession(entry, session, entry.localModelPath);
+                    entry.loadedFrom = 'local';
+                    entry.state = 'loaded';
+                    entry.lastError = null;
+                    console.log(`✅ Local fallback model ${label} loaded successfully!`);
+                    this.logModelInfo(entry);
+                    entry.isLoading = false;
+                    this.emit('modelLoaded', entry);
+                    return entry;
                 } catch (fallbackError) {
                     console.error('❌ Fallback model also failed:', fallbackError.message);
                 }
             }
             
-            this.isLoading = false;
+            entry.isLoading = false;
+            entry.state = error.state || 'failed';
+            entry.lastError = error.message;
             
-            if (this.modelLoadAttempts < this.maxLoadAttempts) {
+            if (error.permanent) {
+                console.error(`❌ Model ${label} is ${entry.state} - not retrying automatically.`);
+            } else if (entry.loadAttempts < this.maxLoadAttempts) {
                 console.log('🔄 Retrying model load in 3 seconds...');
-                setTimeout(() => this.loadModel(), 3000);
+                setTimeout(() => this.loadModelEntry(entry), 3000);
+            } else {
+                console.error(`❌ All loading attempts for ${label} failed. Running without this model.`);
+            }
+        }
+    }
+
+    // Resolve preprocessing against a fresh session and record what the model expects.
+    // With a worker pool every worker opens its own session, so this one is released
+    // rather than kept: one copy of the model per worker, none on the main thread.
+    async attachSession(entry, session, modelPath) {
+        try {
+            entry.preprocessing = this.resolvePreprocessing(entry, session, modelPath);
+        } catch (error) {
+            await session.release?.();
+            throw error;
+        }
+        entry.modelPath = modelPath;
+        entry.inputNames = session.inputNames;
+        entry.outputNames = session.outputNames;
+        if (this.pool) {
+            entry.session = null;
+            await session.release?.();
+        } else {
+            entry.session = session;
+        }
+    }
+
+    isLoaded(entry) {
+        return entry.state === 'loaded';
+    }
+
+    // Return a verified path to the model file, downloading it first if needed
+    async resolveModelFile(entry) {
+        const source = parseModelSource(entry.source);
+
+        if (source.type === 'file') {
+            if (!fs.existsSync(source.path)) {
+                throw createSourceError('missing', `Model file not found: ${source.path}`);
+            }
+            if (entry.sha256) {
+                const fileHash = await this.hashFile(source.path);
+                if (fileHash !== entry.sha256) {
+                    throw createSourceError('failed', `Checksum mismatch for ${source.path} (got ${fileHash})`);
+                }
+            }
+            console.log('📦 Loading model from configured file:', source.path);
+            entry.loadedFrom = 'file';
+            return source.path;
+        }
+
+        // A cached file nothing can verify is kept, but not loaded until it is pinned
+        if (fs.existsSync(entry.cachedModelPath) && !entry.sha256 && !this.allowUnpinned) {
+            throw createSourceError('unpinned',
+                `No pinned SHA-256 for ${entry.name}@${entry.version} - keeping the cached file but not loading it (pin the hash or set ALLOW_UNPINNED_MODEL=true)`);
+        }
+
+        // Drop a cached file that no longer matches its checksum so it is re-fetched
+        if (fs.existsSync(entry.cachedModelPath) && !(await this.verifyCachedModel(entry))) {
+            console.warn(`⚠️ Cached model ${entry.name}@${entry.version} failed checksum verification - discarding it`);
+            fs.unlinkSync(entry.cachedModelPath);
+        }
+
+        // Try to load from cache first
+        if (fs.existsSync(entry.cachedModelPath)) {
+            console.log('📦 Loading model from cache...');
+            const stats = fs.statSync(entry.cachedModelPath);
+            console.log('📊 Cached model info:', {
+                path: entry.cachedModelPath,
+                size: stats.size,
+                sizeInMB: (stats.size / (1024 * 1024)).toFixed(2),
+                modified: stats.mtime
+            });
+            entry.loadedFrom = this.getCacheLabel(source);
+            return entry.cachedModelPath;
+        }
+
+        if (source.type === 'none') {
+            throw createSourceError('missing', 'No model source configured');
+        }
+
+        console.log(`📥 Downloading model from ${new URL(source.url).host}...`);
+        console.log('🔗 Model URL:', source.url);
+        await this.downloadModel(entry);
+        entry.loadedFrom = this.getCacheLabel(source);
+        return entry.cachedModelPath;
+    }
+
+    getCacheLabel(source) {
+        if (source.type === 'http' && new URL(source.url).hostname.endsWith('huggingface.co')) {
+            return 'huggingface_cached';
+        }
+        return 'mirror_cached';
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', (chunk) => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    async verifyCachedModel(entry) {
+        if (!entry.sha256) {
+            console.warn(`⚠️ No pinned checksum for ${entry.name}@${entry.version} - using the cached file unverified`);
+            return true;
+        }
+
+        const actual = await this.hashFile(entry.cachedModelPath);
+        if (actual !== entry.sha256) {
+            console.error('❌ Checksum mismatch:', { expected: entry.sha256, actual });
+            return false;
+        }
+
+        console.log('✅ Cached model checksum verified');
+        return true;
+    }
+
+    // Download to a temp file, verify the SHA-256 and only then move it into the cache
+    async downloadModel(entry) {
+        if (!entry.sha256 && !this.allowUnpinned) {
+            throw createSourceError('unpinned',
+                `No pinned SHA-256 for ${entry.name}@${entry.version} - refusing to download it (pin the hash or set ALLOW_UNPINNED_MODEL=true)`);
+        }
+
+        fs.mkdirSync(path.dirname(entry.cachedModelPath), { recursive: true });
+        const tempPath = `${entry.cachedModelPath}.${process.pid}.${Date.now()}.download`;
+
+        try {
+            const { sha256, bytes, expectedBytes } = await this.fetchToFile(entry.source, tempPath);
+
+            if (expectedBytes > 0 && bytes !== expectedBytes) {
+                throw new Error(`Truncated download: expected ${expectedBytes} bytes, got ${bytes}`);
+            }
+
+            if (entry.sha256 && sha256 !== entry.sha256) {
+                throw new Error(`Checksum mismatch: expected ${entry.sha256}, got ${sha256}`);
+            }
+
+            fs.renameSync(tempPath, entry.cachedModelPath);
+            if (entry.sha256) {
+                console.log('✅ Model checksum verified and moved into cache');
             } else {
-                console.error('❌ All model loading attempts failed. Running without model.');
+                console.warn(`⚠️ Cached ${entry.name}@${entry.version} without verification (SHA-256 ${sha256})`);
             }
+        } catch (error) {
+            fs.unlink(tempPath, () => {});
+            throw error;
         }
     }
 
-    async downloadModel() {
+    // Stream a URL into filePath, following redirect chains of any length
+    fetchToFile(url, filePath, visited = new Set()) {
         return new Promise((resolve, reject) => {
-            const file = fs.createWriteStream(this.cachedModelPath);
-            let downloadedBytes = 0;
-            let totalBytes = 0;
-
-            const request = https.get(this.modelPath, (response) => {
-                if (response.statusCode === 200) {
-                    totalBytes = parseInt(response.headers['content-length'] || '0');
-                    console.log(`📊 Model size: ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
-                    
-                    response.on('data', (chunk) => {
-                        downloadedBytes += chunk.length;
-                        if (totalBytes > 0) {
-                            const progress = ((downloadedBytes / totalBytes) * 100).toFixed(1);
-                            process.stdout.write(`\r⬇️  Downloading: ${progress}%`);
-                        }
-                    });
-                    
-                    response.pipe(file);
-                    
-                    file.on('finish', () => {
-                        file.close();
-                        console.log('\n✅ Model downloaded successfully');
-                        resolve();
-                    });
-                    
-                } else if (response.statusCode === 302 || response.statusCode === 301) {
+            if (visited.has(url)) {
+                return reject(new Error(`Redirect loop detected at ${url}`));
+            }
+            visited.add(url);
+
+            const client = url.startsWith('http:') ? http : https;
+            const request = client.get(url, (response) => {
+                if (REDIRECT_CODES.includes(response.statusCode)) {
                     // Handle redirects (common with Hugging Face URLs)
-                    const redirectUrl = response.headers.location;
+                    response.resume();
+                    const location = response.headers.location;
+                    if (!location) {
+                        return reject(new Error(`HTTP ${response.statusCode} without Location header`));
+                    }
                     console.log('🔄 Following redirect...');
-                    
-                    const redirectRequest = https.get(redirectUrl, (redirectResponse) => {
-                        totalBytes = parseInt(redirectResponse.headers['content-length'] || '0');
-                        console.log(`📊 Model size: ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
-                        
-                        redirectResponse.on('data', (chunk) => {
-                            downloadedBytes += chunk.length;
-                            if (totalBytes > 0) {
-                                const progress = ((downloadedBytes / totalBytes) * 100).toFixed(1);
-                                process.stdout.write(`\r⬇️  Downloading: ${progress}%`);
-                            }
-                        });
-                        
-                        redirectResponse.pipe(file);
-                        
-                        file.on('finish', () => {
-                            file.close();
-                            console.log('\n✅ Model downloaded successfully');
-                            resolve();
-                        });
-                    });
+                    const redirectUrl = new URL(location, url).toString();
+                    return this.fetchToFile(redirectUrl, filePath, visited).then(resolve, reject);
+                }
 
-                    redirectRequest.on('error', (error) => {
-                        fs.unlink(this.cachedModelPath, () => {});
-                        reject(error);
-                    });
-                    
-                } else {
-                    reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+                if (response.statusCode === 404 || response.statusCode === 410) {
+                    response.resume();
+                    return reject(createSourceError('missing', `Model not found at ${url} (HTTP ${response.statusCode})`));
+                }
+
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    return reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
                 }
+
+                const file = fs.createWriteStream(filePath);
+                const hash = crypto.createHash('sha256');
+                const totalBytes = parseInt(response.headers['content-length'] || '0');
+                let downloadedBytes = 0;
+                console.log(`📊 Model size: ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
+
+                response.on('data', (chunk) => {
+                    hash.update(chunk);
+                    downloadedBytes += chunk.length;
+                    if (totalBytes > 0) {
+                        const progress = ((downloadedBytes / totalBytes) * 100).toFixed(1);
+                        process.stdout.write(`\r⬇️  Downloading: ${progress}%`);
+                    }
+                });
+
+                response.on('aborted', () => reject(new Error('Download aborted by server')));
+                response.on('error', reject);
+                file.on('error', reject);
+
+                response.pipe(file);
+
+                file.on('finish', () => {
+                    file.close(() => {
+                        console.log('\n✅ Model downloaded');
+                        resolve({
+                            sha256: hash.digest('hex'),
+                            bytes: downloadedBytes,
+                            expectedBytes: totalBytes
+                        });
+                    });
+                });
             });
 
             request.on('error', (error) => {
-                fs.unlink(this.cachedModelPath, () => {});
+                if (UNREACHABLE_CODES.includes(error.code)) {
+                    return reject(createSourceError('unreachable', `Model host unreachable (${error.code}): ${url}`));
+                }
                 reject(error);
             });
 
@@ -196,11 +734,11 @@ class ModelManager {
         });
     }
 
-    async waitForLoad() {
+    async waitForLoad(entry) {
         return new Promise((resolve) => {
             const checkLoading = () => {
-                if (!this.isLoading) {
-                    resolve();
+                if (!entry.isLoading) {
+                    resolve(entry);
                 } else {
                     setTimeout(checkLoading, 100);
                 }
@@ -209,82 +747,367 @@ class ModelManager {
         });
     }
 
-    logModelInfo() {
+    // Preprocessing spec for a freshly created session: the definition's settings,
+    // overridden by a <model file>.json sidecar, checked against the model metadata.
+    // A mismatch is permanent - retrying the same file cannot fix it.
+    resolvePreprocessing(entry, session, modelPath) {
+        const label = `${entry.name}@${entry.version}`;
+        const sidecarPath = `${modelPath}.json`;
+        let sidecar = {};
+        if (fs.existsSync(sidecarPath)) {
+            try {
+                sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+            } catch (error) {
+                throw createSourceError('incompatible', `Invalid preprocessing sidecar ${sidecarPath}: ${error.message}`);
+            }
+            console.log('📄 Preprocessing sidecar:', sidecarPath);
+        }
+
+        const configured = { ...(entry.preprocessingConfig || {}), ...sidecar };
+        try {
+            return resolveSpec(session, configured, label);
+        } catch (error) {
+            throw createSourceError('incompatible', error.message);
+        }
+    }
+
+    logModelInfo(entry) {
         console.log('📊 Model Info:');
-        console.log('  📝 Repository: syntichemusawu/MalariaD');
-        console.log('  📁 Input names:', this.sessionONNX.inputNames);
-        console.log('  📤 Output names:', this.sessionONNX.outputNames);
+        console.log(`  🏷️  Model: ${entry.name}@${entry.version}`);
+        console.log('  📝 Repository:', entry.repository || 'n/a');
+        console.log('  📁 Input names:', entry.inputNames);
+        console.log('  📤 Output names:', entry.outputNames);
+        const { inputSize, layout, channelOrder, output } = entry.preprocessing;
+        console.log(`  🖼️  Input: ${inputSize.width}x${inputSize.height} ${layout} ${channelOrder}, output: ${output.type}`);
     }
 
-    async preprocessImage(imagePath) {
-        console.log('📸 Starting image preprocessing (FIXED):', imagePath);
+    // Score sharpness, exposure and colour cast on a downscaled copy of the image
+    async assessImageQuality(image) {
+        const { data, info } = await sharp(image)
+            .rotate()
+            .resize(QUALITY_ANALYSIS_SIZE, QUALITY_ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { width, height, channels } = info;
+        const pixelCount = width * height;
+        const gray = new Float32Array(pixelCount);
+        let sumR = 0, sumG = 0, sumB = 0, sumGray = 0, clipped = 0;
+
+        for (let i = 0; i < pixelCount; i++) {
+            const r = data[i * channels];
+            const g = data[i * channels + 1];
+            const b = data[i * channels + 2];
+            const value = 0.299 * r + 0.587 * g + 0.114 * b;
+            gray[i] = value;
+            sumR += r;
+            sumG += g;
+            sumB += b;
+            sumGray += value;
+            if (value <= 5 || value >= 250) clipped++;
+        }
+
+        // Sharpness: variance of the Laplacian - low values mean a blurry photo
+        let lapSum = 0, lapSumSq = 0, lapCount = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const lap = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                lapSum += lap;
+                lapSumSq += lap * lap;
+                lapCount++;
+            }
+        }
+        const lapMean = lapCount ? lapSum / lapCount : 0;
+        const sharpness = lapCount ? lapSumSq / lapCount - lapMean * lapMean : 0;
+
+        // Colour cast: how far the strongest channel sits from the neutral grey of the channel means
+        const means = { red: sumR / pixelCount, green: sumG / pixelCount, blue: sumB / pixelCount };
+        const neutral = (means.red + means.green + means.blue) / 3;
+        const dominantChannel = Object.keys(means).reduce((a, b) => (means[a] >= means[b] ? a : b));
+        const colourCast = (means[dominantChannel] - neutral) / 255;
+
+        return {
+            sharpness: Number(sharpness.toFixed(2)),
+            brightness: Number((sumGray / pixelCount).toFixed(2)),
+            clippedFraction: Number((clipped / pixelCount).toFixed(4)),
+            colourCast: Number(colourCast.toFixed(4)),
+            dominantChannel
+        };
+    }
+
+    // Compare quality scores against the configured thresholds
+    evaluateQuality(scores) {
+        const t = this.qualityThresholds;
+        let reason = null;
+
+        if (scores.brightness < t.minBrightness) {
+            reason = 'IMAGE_TOO_DARK';
+        } else if (scores.brightness > t.maxBrightness || scores.clippedFraction > t.maxClippedFraction) {
+            reason = 'IMAGE_OVEREXPOSED';
+        } else if (scores.sharpness < t.minSharpness) {
+            reason = 'IMAGE_TOO_BLURRY';
+        } else if (scores.colourCast > t.maxColourCast && scores.dominantChannel !== 'red') {
+            // The conjunctiva is naturally red, so only a green/blue cast counts
+            reason = 'IMAGE_COLOUR_CAST';
+        }
+
+        return {
+            ...scores,
+            passed: !reason,
+            reason,
+            message: reason ? QUALITY_MESSAGES[reason] : null
+        };
+    }
+
+    // Statistics of an upload for drift monitoring: size, brightness, channel means and
+    // a colour histogram (HISTOGRAM_BINS per channel, as shares of the pixels)
+    async computeInputStats(image) {
+        const metadata = await sharp(image).metadata();
+        const { width, height } = orientedSize(metadata);
+        const bytes = typeof image === 'string' ? (await fs.promises.stat(image)).size : image.length;
+
+        const { data, info } = await sharp(image)
+            .rotate()
+            .resize(INPUT_STATS_SIZE, INPUT_STATS_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .toColourspace('srgb')
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const pixelCount = info.width * info.height;
+        const histogram = new Array(3 * HISTOGRAM_BINS).fill(0);
+        const sums = [0, 0, 0];
+        let sumGray = 0;
+        for (let i = 0; i < pixelCount; i++) {
+            for (let c = 0; c < 3; c++) {
+                const value = data[i * info.channels + c];
+                sums[c] += value;
+                histogram[c * HISTOGRAM_BINS + Math.floor(value * HISTOGRAM_BINS / 256)]++;
+            }
+            sumGray += 0.299 * data[i * info.channels] + 0.587 * data[i * info.channels + 1] + 0.114 * data[i * info.channels + 2];
+        }
+
+        return {
+            width,
+            height,
+            megapixels: Number((width * height / 1e6).toFixed(3)),
+            bytes,
+            format: metadata.format,
+            brightness: Number((sumGray / pixelCount).toFixed(2)),
+            channelMeans: sums.map(sum => Number((sum / pixelCount).toFixed(2))),
+            histogram: histogram.map(count => Number((count / pixelCount).toFixed(4)))
+        };
+    }
+
+    // Returns null when the quality gate is disabled
+    async checkQuality(image) {
+        if (!this.qualityGate) {
+            return null;
+        }
+        const quality = this.evaluateQuality(await this.assessImageQuality(image));
+        console.log('📊 Image quality:', quality);
+        return quality;
+    }
+
+    // Locate the palpebral conjunctiva by colour segmentation: keep strongly red
+    // pixels, take the largest connected blob and return its padded bounding box
+    // in original image coordinates. Falls back to the whole image.
+    async detectConjunctiva(image) {
+        // Coordinates are in the upright (EXIF-oriented) image
+        const { width: imageWidth, height: imageHeight } = orientedSize(await sharp(image).metadata());
+        const fullImage = {
+            left: 0,
+            top: 0,
+            width: imageWidth,
+            height: imageHeight,
+            imageWidth,
+            imageHeight,
+            method: 'full_image',
+            coverage: 1
+        };
+
+        if (this.roiMethod === 'none') {
+            return fullImage;
+        }
+
+        const { data, info } = await sharp(image)
+            .rotate()
+            .resize(ROI_ANALYSIS_SIZE, ROI_ANALYSIS_SIZE, { fit: 'inside' })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { width, height, channels } = info;
+        const pixelCount = width * height;
+        const mask = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            const r = data[i * channels];
+            const g = data[i * channels + 1];
+            const b = data[i * channels + 2];
+            const sum = r + g + b;
+            mask[i] = sum > 90 && r > b && (r - g) / sum > ROI_REDNESS_THRESHOLD ? 1 : 0;
+        }
+
+        // Largest 4-connected component
+        const visited = new Uint8Array(pixelCount);
+        const stack = new Int32Array(pixelCount);
+        let best = { area: 0 };
+        for (let start = 0; start < pixelCount; start++) {
+            if (!mask[start] || visited[start]) continue;
+
+            let top = 0;
+            let area = 0;
+            let minX = width, minY = height, maxX = 0, maxY = 0;
+            stack[top++] = start;
+            visited[start] = 1;
+
+            while (top > 0) {
+                const i = stack[--top];
+                const x = i % width;
+                const y = (i - x) / width;
+                area++;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+
+                const neighbours = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    y > 0 ? i - width : -1,
+                    y < height - 1 ? i + width : -1
+                ];
+                for (const n of neighbours) {
+                    if (n >= 0 && mask[n] && !visited[n]) {
+                        visited[n] = 1;
+                        stack[top++] = n;
+                    }
+                }
+            }
+
+            if (area > best.area) {
+                best = { area, minX, minY, maxX, maxY };
+            }
+        }
+
+        const coverage = best.area / pixelCount;
+        if (coverage < ROI_MIN_COVERAGE) {
+            console.log('📊 No conjunctiva region found - analysing the full image');
+            return { ...fullImage, coverage: Number(coverage.toFixed(4)) };
+        }
+
+        // Pad the box, then scale it back to original image pixels
+        const padX = (best.maxX - best.minX + 1) * ROI_PADDING;
+        const padY = (best.maxY - best.minY + 1) * ROI_PADDING;
+        const scaleX = imageWidth / width;
+        const scaleY = imageHeight / height;
+        const left = Math.max(0, Math.floor((best.minX - padX) * scaleX));
+        const top = Math.max(0, Math.floor((best.minY - padY) * scaleY));
+        const right = Math.min(imageWidth, Math.ceil((best.maxX + 1 + padX) * scaleX));
+        const bottom = Math.min(imageHeight, Math.ceil((best.maxY + 1 + padY) * scaleY));
+
+        const cropBox = {
+            left,
+            top,
+            width: Math.max(1, right - left),
+            height: Math.max(1, bottom - top),
+            imageWidth,
+            imageHeight,
+            method: 'colour_segmentation',
+            coverage: Number(coverage.toFixed(4))
+        };
+        console.log('📊 Conjunctiva region:', cropBox);
+        return cropBox;
+    }
+
+    // Resize, normalise and lay out the photo the way the model expects (see preprocessing.js).
+    // `view` is one of TTA_VIEWS, or null for the plain input.
+    async preprocessImage(image, cropBox = null, spec = DEFAULT_SPEC, view = null) {
+        console.log('📸 Starting image preprocessing (FIXED):', describeImage(image), view ? `(view: ${view.name})` : '');
         
         try {
             // Get original image info first
-            const originalInfo = await sharp(imagePath).metadata();
+            const originalInfo = await sharp(image).metadata();
             console.log('📊 Original image info:', {
                 width: originalInfo.width,
                 height: originalInfo.height,
                 channels: originalInfo.channels,
                 format: originalInfo.format,
-                space: originalInfo.space
+                space: originalInfo.space,
+                orientation: originalInfo.orientation || 1
             });
 
-            // Load and resize image - EXACT MATCH to training preprocessing
-            const buffer = await sharp(imagePath)
-                .resize(224, 224) // Same as training
+            // Region fed to the model: the detected conjunctiva, narrowed further by a
+            // cropped TTA view
+            let region = cropBox && cropBox.method !== 'full_image' ? cropBox : null;
+            if (view?.crop) {
+                const base = region || { left: 0, top: 0, ...orientedSize(originalInfo) };
+                const regionWidth = Math.max(1, Math.round(base.width * view.crop.scale));
+                const regionHeight = Math.max(1, Math.round(base.height * view.crop.scale));
+                region = {
+                    left: base.left + Math.round((base.width - regionWidth) * view.crop.x),
+                    top: base.top + Math.round((base.height - regionHeight) * view.crop.y),
+                    width: regionWidth,
+                    height: regionHeight
+                };
+            }
+
+            // Turn the photo upright (EXIF orientation), then crop to the region
+            // before resizing
+            let pipeline = sharp(image).rotate();
+            if (region) {
+                pipeline = pipeline.extract({
+                    left: region.left,
+                    top: region.top,
+                    width: region.width,
+                    height: region.height
+                });
+            }
+
+            // Load and resize image - must match the model's training preprocessing
+            const { width, height } = spec.inputSize;
+            pipeline = pipeline.resize(width, height);
+            if (view?.flop) {
+                pipeline = pipeline.flop();
+            }
+            if (view?.brightness) {
+                pipeline = pipeline.modulate({ brightness: view.brightness });
+            }
+            const buffer = await pipeline
                 .removeAlpha() // Ensure RGB only
                 .raw()
                 .toBuffer();
 
             console.log('📊 Processed image info:', {
-                width: 224,
-                height: 224,
+                width,
+                height,
                 channels: 3,
+                layout: spec.layout,
+                channelOrder: spec.channelOrder,
                 bufferSize: buffer.length
             });
 
-            // Verify buffer size is correct (224 * 224 * 3 = 150,528)
-            const expectedSize = 224 * 224 * 3;
+            // Sharp returns interleaved RGB (HWC)
+            const totalPixels = width * height;
+            const expectedSize = totalPixels * 3;
             if (buffer.length !== expectedSize) {
                 throw new Error(`Buffer size mismatch: expected ${expectedSize}, got ${buffer.length}`);
             }
     
-            // Create normalized data - EXACT MATCH to training
-            const float32Data = new Float32Array(3 * 224 * 224);
-            
-            // IMPORTANT: Use exact same normalization as training
-            const mean = [0.485, 0.456, 0.406]; // ImageNet mean
-            const std = [0.229, 0.224, 0.225];  // ImageNet std
+            // Normalise like training: (pixel / scale - mean) / std, per model input channel
+            const float32Data = new Float32Array(expectedSize);
+            const { mean, std, scale } = spec;
+            // Position of each model input channel in Sharp's RGB pixel
+            const sourceChannel = spec.channelOrder === 'BGR' ? [2, 1, 0] : [0, 1, 2];
+            const nchw = spec.layout === 'NCHW';
 
-            // FIXED: Process pixels in batches to avoid stack overflow
-            const totalPixels = 224 * 224;
-            const batchSize = 1000; // Process 1000 pixels at a time
-            
-            console.log(`📊 Processing ${totalPixels} pixels in batches of ${batchSize}`);
-            
-            for (let batch = 0; batch < Math.ceil(totalPixels / batchSize); batch++) {
-                const startIdx = batch * batchSize;
-                const endIdx = Math.min(startIdx + batchSize, totalPixels);
-                
-                for (let i = startIdx; i < endIdx; i++) {
-                    // Extract RGB values (HWC format from Sharp)
-                    const r_raw = buffer[i * 3 + 0]; // Red
-                    const g_raw = buffer[i * 3 + 1]; // Green  
-                    const b_raw = buffer[i * 3 + 2]; // Blue
-                    
-                    // Normalize exactly like training: (pixel/255 - mean) / std
-                    const r_norm = (r_raw / 255.0 - mean[0]) / std[0];
-                    const g_norm = (g_raw / 255.0 - mean[1]) / std[1];
-                    const b_norm = (b_raw / 255.0 - mean[2]) / std[2];
-                    
-                    // Store in NCHW format: [N, C, H, W] - SAME AS ORIGINAL
-                    // Channel 0 (Red): indices 0 to 224*224-1
-                    // Channel 1 (Green): indices 224*224 to 2*224*224-1  
-                    // Channel 2 (Blue): indices 2*224*224 to 3*224*224-1
-                    float32Data[i] = r_norm;                          // Red channel
-                    float32Data[i + totalPixels] = g_norm;            // Green channel
-                    float32Data[i + 2 * totalPixels] = b_norm;        // Blue channel
+            for (let i = 0; i < totalPixels; i++) {
+                for (let c = 0; c < 3; c++) {
+                    const value = (buffer[i * 3 + sourceChannel[c]] / scale - mean[c]) / std[c];
+                    // NCHW: one plane per channel; NHWC: channels interleaved per pixel
+                    float32Data[nchw ? c * totalPixels + i : i * 3 + c] = value;
                 }
             }
 
@@ -301,16 +1124,8 @@ class ModelManager {
                 average: avgVal.toFixed(4),
                 sampleSize: sampleSize
             });
-
-            // Sample first few values for debugging
-            console.log('📊 First 5 R,G,B values:', 
-                `R: [${Array.from(float32Data.slice(0, 5)).map(v => v.toFixed(3)).join(', ')}]`,
-                `G: [${Array.from(float32Data.slice(totalPixels, totalPixels + 5)).map(v => v.toFixed(3)).join(', ')}]`,
-                `B: [${Array.from(float32Data.slice(2 * totalPixels, 2 * totalPixels + 5)).map(v => v.toFixed(3)).join(', ')}]`
-            );
     
-            // Create tensor in NCHW format: [batch_size=1, channels=3, height=224, width=224]
-            const tensor = new ort.Tensor('float32', float32Data, [1, 3, 224, 224]);
+            const tensor = new ort.Tensor('float32', float32Data, inputDims(spec));
             console.log('✅ Created tensor with shape:', tensor.dims);
             
             return tensor;
@@ -339,109 +1154,586 @@ class ModelManager {
         return true;
     }
 
-    async predict(imagePath) {
-        console.log('🤖 Starting FIXED prediction for image:', imagePath);
+    // Takes the model's P(Non-anemic) (see nonAnemicProbability). Turn it into explicit
+    // per-class probabilities (calibrated when a profile is active) and a
+    // confidence that belongs to the chosen class.
+    interpretOutput(rawConfidence, calibration = UNCALIBRATED) {
+        console.log('📊 Raw model output (P(Non-anemic)):', rawConfidence);
+
+        const rawProbabilities = {
+            anemic: 1 - rawConfidence,
+            nonAnemic: rawConfidence
+        };
+        const anemic = applyCalibration(rawProbabilities.anemic, calibration);
+        const probabilities = { anemic, nonAnemic: 1 - anemic };
         
-        try {
-            // Check if model is loaded
-            if (!this.sessionONNX) {
-                console.error('❌ Model not loaded - using default prediction');
-                return { 
-                    prediction: 'Anemic', // Changed default to be more cautious
-                    confidence: 0.8,
-                    usingDefaultPrediction: true,
-                    modelSource: 'none'
+        // Uncalibrated with threshold 0.5 this is the original boundary: output > 0.5 => Non-anemic
+        const prediction = anemic >= calibration.threshold ? 'Anemic' : 'Non-anemic';
+        const confidence = prediction === 'Anemic' ? probabilities.anemic : probabilities.nonAnemic;
+        
+        console.log('📊 FINAL PREDICTION RESULT:', { 
+            prediction, 
+            confidence,
+            probabilities,
+            threshold: calibration.threshold,
+            confidencePercentage: Math.round(confidence * 100) + '%'
+        });
+
+        return {
+            prediction,
+            confidence,
+            probabilities,
+            rawProbabilities,
+            calibration: {
+                profileId: calibration.profileId,
+                version: calibration.version,
+                method: calibration.method,
+                threshold: calibration.threshold
+            }
+        };
+    }
+
+    // Batch dimension the model was exported with, or null when it is dynamic
+    getFixedBatchSize(session) {
+        const batchDim = session.inputMetadata?.[0]?.shape?.[0];
+        return Number.isInteger(batchDim) && batchDim > 0 ? batchDim : null;
+    }
+
+    // Concatenate single-image tensors ([1, ...]) into one [N, ...] tensor
+    stackTensors(tensors) {
+        const itemSize = tensors[0].data.length;
+        const data = new Float32Array(itemSize * tensors.length);
+        tensors.forEach((tensor, i) => data.set(tensor.data, i * itemSize));
+        return new ort.Tensor('float32', data, [tensors.length, ...tensors[0].dims.slice(1)]);
+    }
+
+    // Preprocess several images and run them through the model as batched tensors.
+    // Models exported with a fixed batch size are fed chunks of that size.
+    // Images that fail the quality gate are left out of the batch.
+    // options.preprocessing is the model's preprocessing spec.
+    async runBatchPrediction(session, images, calibration = UNCALIBRATED, options = {}) {
+        const spec = options.preprocessing || DEFAULT_SPEC;
+        console.log(`🔄 Preprocessing ${images.length} images for batch inference...`);
+        const results = new Array(images.length);
+        const accepted = [];
+        for (const [index, image] of images.entries()) {
+            try {
+                const inputStats = await this.computeInputStats(image);
+                const quality = await this.checkQuality(image);
+                if (quality && !quality.passed) {
+                    results[index] = { qualityRejected: true, quality, inputStats };
+                    continue;
+                }
+                const cropBox = await this.detectConjunctiva(image);
+                const tensor = await this.preprocessImage(image, cropBox, spec);
+                this.validateModelInput(tensor);
+                accepted.push({ index, tensor, quality, cropBox, inputStats });
+            } catch (error) {
+                // One unreadable photo must not sink the rest of the batch
+                console.warn(`⚠️ Preprocessing failed for batch image ${index}: ${error.message}`);
+                results[index] = { preprocessingFailed: true, error: error.message };
+            }
+        }
+
+        if (accepted.length === 0) {
+            return results;
+        }
+
+        const chunkSize = this.getFixedBatchSize(session) || accepted.length;
+        const inputName = session.inputNames[0];
+        const outputName = session.outputNames[0];
+
+        for (let start = 0; start < accepted.length; start += chunkSize) {
+            const chunk = accepted.slice(start, start + chunkSize);
+            const batchTensor = this.stackTensors(chunk.map(item => item.tensor));
+
+            const startTime = Date.now();
+            const output = await session.run({ [inputName]: batchTensor });
+            const inferenceTime = Date.now() - startTime;
+            console.log(`✅ Batch inference on ${chunk.length} image(s) completed in ${inferenceTime}ms`);
+
+            const outputData = Array.from(output[outputName].data);
+            const perImage = outputData.length / chunk.length;
+
+            chunk.forEach((item, i) => {
+                const rawOutput = outputData.slice(i * perImage, (i + 1) * perImage);
+                results[item.index] = {
+                    ...this.interpretOutput(nonAnemicProbability(rawOutput, spec.output), calibration),
+                    quality: item.quality,
+                    cropBox: item.cropBox,
+                    inputStats: item.inputStats,
+                    debug: {
+                        rawOutput,
+                        batchSize: chunk.length,
+                        inferenceTime
+                    }
                 };
+            });
+        }
+
+        return results;
+    }
+
+    // Copy of a single-image tensor with one rectangle set to 0 - the dataset
+    // mean after normalisation, so the patch carries no information
+    occludeTensor(tensor, top, left, patchHeight, patchWidth, layout = 'NCHW') {
+        const nchw = layout === 'NCHW';
+        const [channels, height, width] = nchw ? tensor.dims.slice(1) : [tensor.dims[3], tensor.dims[1], tensor.dims[2]];
+        const data = tensor.data.slice();
+        const bottom = Math.min(top + patchHeight, height);
+        const right = Math.min(left + patchWidth, width);
+        if (nchw) {
+            for (let c = 0; c < channels; c++) {
+                const plane = c * height * width;
+                for (let y = top; y < bottom; y++) {
+                    data.fill(0, plane + y * width + left, plane + y * width + right);
+                }
             }
-    
+        } else {
+            for (let y = top; y < bottom; y++) {
+                data.fill(0, (y * width + left) * channels, (y * width + right) * channels);
+            }
+        }
+        return new ort.Tensor('float32', data, tensor.dims);
+    }
+
+    // Occlusion sensitivity: hide one patch of the model input at a time and measure
+    // how much the probability of the predicted class drops. The drops, scaled to
+    // [0, 1], are blended over the analysed region of the photo and returned as a PNG.
+    // nonAnemic is the uncalibrated P(Non-anemic) of the unoccluded input.
+    async generateHeatmap(session, image, cropBox, inputTensor, nonAnemic, prediction, spec = DEFAULT_SPEC) {
+        const startTime = Date.now();
+        const { width, height } = spec.inputSize;
+        const patchHeight = Math.ceil(height / OCCLUSION_GRID);
+        const patchWidth = Math.ceil(width / OCCLUSION_GRID);
+        // Uncalibrated is fine: calibration is monotonic so it does not change the ranking
+        const classProbability = (p) => (prediction === 'Anemic' ? 1 - p : p);
+        const baseline = classProbability(nonAnemic);
+
+        const cells = [];
+        for (let row = 0; row < OCCLUSION_GRID; row++) {
+            for (let col = 0; col < OCCLUSION_GRID; col++) {
+                cells.push({ row, col });
+            }
+        }
+
+        const fixedBatchSize = this.getFixedBatchSize(session);
+        const chunkSize = fixedBatchSize || OCCLUSION_CHUNK_SIZE;
+        const inputName = session.inputNames[0];
+        const outputName = session.outputNames[0];
+        const drops = new Array(cells.length).fill(0);
+
+        for (let start = 0; start < cells.length; start += chunkSize) {
+            const chunk = cells.slice(start, start + chunkSize);
+            const tensors = chunk.map(({ row, col }) =>
+                this.occludeTensor(inputTensor, row * patchHeight, col * patchWidth, patchHeight, patchWidth, spec.layout));
+            // Fixed-batch models need a full batch; pad with the unoccluded input
+            while (fixedBatchSize && tensors.length < fixedBatchSize) {
+                tensors.push(inputTensor);
+            }
+
+            const output = await session.run({ [inputName]: this.stackTensors(tensors) });
+            const outputData = output[outputName].data;
+            const perImage = outputData.length / tensors.length;
+            chunk.forEach((cell, i) => {
+                const values = Array.from(outputData.slice(i * perImage, (i + 1) * perImage));
+                drops[start + i] = Math.max(0, baseline - classProbability(nonAnemicProbability(values, spec.output)));
+            });
+        }
+
+        const maxDrop = Math.max(...drops);
+        const grid = drops.map(drop => (maxDrop > 0 ? drop / maxDrop : 0));
+        const png = await this.renderHeatmap(image, cropBox, grid);
+
+        console.log(`🔥 Occlusion heatmap (${cells.length} patches) generated in ${Date.now() - startTime}ms`);
+
+        return {
+            method: 'occlusion',
+            gridSize: OCCLUSION_GRID,
+            grid,
+            baseline,
+            maxDrop,
+            png
+        };
+    }
+
+    // Blend a grid of importance values over the analysed region of the photo
+    async renderHeatmap(image, cropBox, grid) {
+        const metadata = orientedSize(await sharp(image).metadata());
+        const region = cropBox && cropBox.method !== 'full_image'
+            ? cropBox
+            : { left: 0, top: 0, width: metadata.width, height: metadata.height };
+
+        const scale = Math.min(1, HEATMAP_MAX_WIDTH / metadata.width);
+        const outputWidth = Math.max(1, Math.round(metadata.width * scale));
+        const outputHeight = Math.max(1, Math.round(metadata.height * scale));
+        const left = Math.min(outputWidth - 1, Math.round(region.left * scale));
+        const top = Math.min(outputHeight - 1, Math.round(region.top * scale));
+        const regionWidth = Math.max(1, Math.min(outputWidth - left, Math.round(region.width * scale)));
+        const regionHeight = Math.max(1, Math.min(outputHeight - top, Math.round(region.height * scale)));
+
+        // One RGBA pixel per patch; unimportant patches stay transparent
+        const pixels = Buffer.alloc(grid.length * 4);
+        grid.forEach((value, i) => {
+            const [r, g, b] = heatColour(value);
+            pixels[i * 4] = r;
+            pixels[i * 4 + 1] = g;
+            pixels[i * 4 + 2] = b;
+            pixels[i * 4 + 3] = Math.round(255 * HEATMAP_MAX_ALPHA * value);
+        });
+
+        const overlay = await sharp(pixels, { raw: { width: OCCLUSION_GRID, height: OCCLUSION_GRID, channels: 4 } })
+            .resize(regionWidth, regionHeight, { fit: 'fill', kernel: 'cubic' })
+            .png()
+            .toBuffer();
+
+        return sharp(image)
+            .rotate()
+            .resize(outputWidth, outputHeight)
+            .composite([{ input: overlay, left, top }])
+            .png()
+            .toBuffer();
+    }
+
+    // Run the TTA views of a photo and return P(Non-anemic) for each, in TTA_VIEWS order
+    async runAugmentedViews(session, image, cropBox, spec = DEFAULT_SPEC) {
+        const tensors = [];
+        for (const view of TTA_VIEWS) {
+            tensors.push(await this.preprocessImage(image, cropBox, spec, view));
+        }
+
+        const fixedBatchSize = this.getFixedBatchSize(session);
+        const chunkSize = fixedBatchSize || tensors.length;
+        const inputName = session.inputNames[0];
+        const outputName = session.outputNames[0];
+        const values = [];
+
+        for (let start = 0; start < tensors.length; start += chunkSize) {
+            const chunk = tensors.slice(start, start + chunkSize);
+            // Fixed-batch models need a full batch; pad with the first view
+            while (fixedBatchSize && chunk.length < fixedBatchSize) {
+                chunk.push(tensors[0]);
+            }
+
+            const output = await session.run({ [inputName]: this.stackTensors(chunk) });
+            const outputData = output[outputName].data;
+            const perImage = outputData.length / chunk.length;
+            for (let i = 0; i < chunk.length && start + i < tensors.length; i++) {
+                values.push(nonAnemicProbability(Array.from(outputData.slice(i * perImage, (i + 1) * perImage)), spec.output));
+            }
+        }
+        return values;
+    }
+
+    // Spread of the (calibrated) P(Anemic) over all views, judged against the
+    // uncertainty thresholds. `prediction` is the final label from the mean output.
+    summariseUncertainty(viewNames, nonAnemicValues, prediction, calibration = UNCALIBRATED) {
+        const anemic = nonAnemicValues.map(p => applyCalibration(1 - p, calibration));
+        const mean = anemic.reduce((sum, p) => sum + p, 0) / anemic.length;
+        const std = Math.sqrt(anemic.reduce((sum, p) => sum + (p - mean) ** 2, 0) / anemic.length);
+        const disagreeing = anemic.filter(p => (p >= calibration.threshold ? 'Anemic' : 'Non-anemic') !== prediction).length;
+        const disagreement = disagreeing / anemic.length;
+
+        const { maxStd, maxDisagreement } = this.uncertaintyThresholds;
+        const reasons = [];
+        if (std > maxStd) reasons.push('PROBABILITY_SPREAD');
+        if (disagreement > maxDisagreement) reasons.push('VIEWS_DISAGREE');
+
+        return {
+            method: 'tta',
+            views: anemic.length,
+            std,
+            min: Math.min(...anemic),
+            max: Math.max(...anemic),
+            disagreement,
+            high: reasons.length > 0,
+            reasons,
+            perView: viewNames.map((view, i) => ({ view, anemic: anemic[i] }))
+        };
+    }
+
+    // Preprocess + inference for one image against an already created session.
+    // Runs inside the inference workers, or in-process when the pool is disabled.
+    // options.heatmap adds an occlusion heatmap to the result; options.preprocessing
+    // is the model's preprocessing spec; options.tta averages the plain input with
+    // the TTA_VIEWS and adds an `uncertainty` summary.
+    async runPrediction(session, image, calibration = UNCALIBRATED, options = {}) {
+        const spec = options.preprocessing || DEFAULT_SPEC;
+        // Quality gate - blurry, badly exposed or colour-cast photos never reach the model
+        let quality;
+        let cropBox;
+        let inputTensor;
+        let inputStats;
+        try {
+            // Rejected photos count for drift monitoring too
+            inputStats = await this.computeInputStats(image);
+            quality = await this.checkQuality(image);
+            if (quality && !quality.passed) {
+                return { qualityRejected: true, quality, inputStats };
+            }
+
             // Preprocess image
             console.log('🔄 Step 1: Preprocessing image...');
-            const inputTensor = await this.preprocessImage(imagePath);
+            cropBox = await this.detectConjunctiva(image);
+            inputTensor = await this.preprocessImage(image, cropBox, spec);
             console.log('✅ Image preprocessing completed');
             
             // Validate input
             console.log('🔄 Step 2: Validating input tensor...');
             this.validateModelInput(inputTensor);
-            
-            // Run inference
-            console.log('🔄 Step 3: Running model inference...');
-            const inputName = this.sessionONNX.inputNames[0];
-            const feeds = { [inputName]: inputTensor };
-            
-            console.log('📊 Inference details:', {
-                inputName: inputName,
-                inputShape: inputTensor.dims,
-                inputType: inputTensor.type
-            });
-            
-            const startTime = Date.now();
-            const results = await this.sessionONNX.run(feeds);
-            const inferenceTime = Date.now() - startTime;
-            
-            console.log(`✅ Model inference completed in ${inferenceTime}ms`);
-            
-            // Get output tensor
-            const outputName = this.sessionONNX.outputNames[0];
-            const outputTensor = results[outputName];
-            const outputData = Array.from(outputTensor.data);
-            
-            console.log('📊 Raw model output:', {
-                outputName: outputName,
-                outputShape: outputTensor.dims,
-                outputType: outputTensor.type,
-                outputLength: outputData.length,
-                rawOutputData: outputData
-            });
+        } catch (error) {
+            error.code = error.code || 'PREPROCESSING_FAILED';
+            throw error;
+        }
+        
+        // Run inference
+        console.log('🔄 Step 3: Running model inference...');
+        const inputName = session.inputNames[0];
+        const feeds = { [inputName]: inputTensor };
+        
+        console.log('📊 Inference details:', {
+            inputName: inputName,
+            inputShape: inputTensor.dims,
+            inputType: inputTensor.type
+        });
+        
+        const startTime = Date.now();
+        const results = await session.run(feeds);
+        const inferenceTime = Date.now() - startTime;
+        
+        console.log(`✅ Model inference completed in ${inferenceTime}ms`);
+        
+        // Get output tensor
+        const outputName = session.outputNames[0];
+        const outputTensor = results[outputName];
+        const outputData = Array.from(outputTensor.data);
+        
+        console.log('📊 Raw model output:', {
+            outputName: outputName,
+            outputShape: outputTensor.dims,
+            outputType: outputTensor.type,
+            outputLength: outputData.length,
+            rawOutputData: outputData
+        });
 
-            // FIXED: Output interpretation - SAME LOGIC AS ORIGINAL WORKING CODE
-            console.log('🔄 Step 4: Interpreting output (FIXED)...');
-            
-            let prediction, confidence;
-            
-            // Get the confidence score (assuming single output value)
-            const rawConfidence = outputData[0];
-            console.log('📊 Raw confidence from model:', rawConfidence);
-            
-            // CRITICAL: Use SAME logic as original working server.js
-            // Original code: confidence > 0.5 ? 'Non-anemic' : 'Anemic'
-            if (rawConfidence > 0.5) {
-                prediction = 'Non-anemic';
-                confidence = rawConfidence;
-            } else {
-                prediction = 'Anemic';
-                confidence = rawConfidence; // Keep original confidence value
+        // Sigmoid or softmax output, as configured for this model
+        console.log('🔄 Step 4: Interpreting output...');
+        const nonAnemic = nonAnemicProbability(outputData, spec.output);
+
+        // With TTA the answer is the mean over all views, and their spread is the uncertainty
+        let interpreted;
+        let uncertainty = null;
+        if (options.tta) {
+            const ttaStart = Date.now();
+            const views = [nonAnemic, ...await this.runAugmentedViews(session, image, cropBox, spec)];
+            interpreted = this.interpretOutput(views.reduce((sum, p) => sum + p, 0) / views.length, calibration);
+            uncertainty = this.summariseUncertainty(['original', ...TTA_VIEWS.map(view => view.name)], views, interpreted.prediction, calibration);
+            console.log(`🎲 TTA over ${views.length} views in ${Date.now() - ttaStart}ms: std ${uncertainty.std.toFixed(3)}, disagreement ${(uncertainty.disagreement * 100).toFixed(0)}%${uncertainty.high ? ' - HIGH UNCERTAINTY' : ''}`);
+        } else {
+            interpreted = this.interpretOutput(nonAnemic, calibration);
+        }
+
+        // A failed heatmap must never cost the patient their result
+        let heatmap = null;
+        if (options.heatmap) {
+            try {
+                heatmap = await this.generateHeatmap(session, image, cropBox, inputTensor, nonAnemic, interpreted.prediction, spec);
+            } catch (error) {
+                console.warn('⚠️ Heatmap generation failed:', error.message);
+            }
+        }
+        
+        return {
+            ...interpreted,
+            quality,
+            cropBox,
+            heatmap,
+            uncertainty,
+            inputStats,
+            debug: {
+                rawOutput: outputData,
+                outputShape: Array.from(outputTensor.dims),
+                inferenceTime: inferenceTime
+            }
+        };
+    }
+
+    // `image` is a file path or a Buffer with the encoded photo (memory uploads)
+    async predict(image, options = {}) {
+        console.log('🤖 Starting FIXED prediction for image:', describeImage(image));
+        
+        // Unknown model names/versions are a caller error, not a prediction failure
+        const entry = this.resolveModel(options.model, options.version);
+        const session = entry.session;
+        const modelInfo = { modelName: entry.name, modelVersion: entry.version };
+        const startTime = Date.now();
+
+        try {
+            // Check if model is loaded
+            if (!this.isLoaded(entry)) {
+                console.error(`❌ Model ${entry.name}@${entry.version} not loaded - result is inconclusive`);
+                return this.inconclusiveResult('MODEL_NOT_LOADED', modelInfo);
+            }
+
+            // Keep the event loop free: hand the heavy lifting to the worker pool
+            const heatmap = Boolean(options.heatmap && this.heatmaps);
+            const tta = options.tta ?? this.tta;
+            const output = this.pool
+                ? await this.pool.run({ task: 'predict', modelPath: entry.modelPath, image, calibration: entry.calibration, preprocessing: entry.preprocessing, heatmap, tta })
+                : await this.runPrediction(session, image, entry.calibration, { heatmap, tta, preprocessing: entry.preprocessing });
+
+            // Buffers come back from the worker as plain Uint8Arrays
+            if (output.heatmap && !Buffer.isBuffer(output.heatmap.png)) {
+                output.heatmap.png = Buffer.from(output.heatmap.png);
             }
             
-            console.log('📊 FINAL PREDICTION RESULT:', { 
-                prediction, 
-                confidence,
-                confidencePercentage: Math.round(confidence * 100) + '%'
-            });
-            
+            if (output.qualityRejected) {
+                console.warn(`⚠️ Image rejected by quality gate: ${output.quality.reason}`);
+            }
+
             return {
-                prediction,
-                confidence,
-                usingDefaultPrediction: false,
-                modelSource: this.getModelSource(),
-                debug: {
-                    rawOutput: outputData,
-                    outputShape: outputTensor.dims,
-                    inferenceTime: inferenceTime
-                }
+                ...output,
+                status: output.qualityRejected ? 'rejected' : 'completed',
+                inconclusive: false,
+                modelSource: entry.loadedFrom,
+                latencyMs: Date.now() - startTime,
+                ...modelInfo
             };
             
         } catch (error) {
+            // A full queue is back-pressure for the caller, not a failed prediction
+            if (error.code === 'QUEUE_FULL') {
+                throw error;
+            }
+
             console.error('❌ Prediction error:', error);
+            const reason = error.code === 'PREPROCESSING_FAILED' ? 'PREPROCESSING_FAILED' : 'INFERENCE_FAILED';
+            return this.inconclusiveResult(reason, modelInfo, error);
+        }
+    }
+
+    // Run the shadow model on a photo the live model has already answered for and
+    // compare the two. Never throws and never changes the live result; returns null
+    // when there is nothing to compare, or when the pool is too busy to fit it in.
+    // Both sides are compared like for like: the shadow runs with the same TTA setting
+    // as the live result, and latency is the plain forward pass only (no heatmap or
+    // TTA views). On the pool the shadow run waits behind every patient-facing task.
+    async runShadow(image, primary) {
+        const entry = this.getShadowEntry();
+        if (!entry || !primary || primary.inconclusive || primary.qualityRejected) {
+            return null;
+        }
+        // Only shadow traffic served by the model the candidate would replace
+        if (primary.modelName !== entry.name || primary.modelVersion === entry.version) {
+            return null;
+        }
+
+        const summarise = (result, modelVersion, latencyMs) => ({
+            modelName: entry.name,
+            modelVersion,
+            prediction: result?.prediction ?? null,
+            anemicProbability: result?.probabilities?.anemic ?? null,
+            latencyMs
+        });
+        const tta = primary.uncertainty?.method === 'tta';
+        const live = summarise(primary, primary.modelVersion, primary.debug?.inferenceTime ?? null);
+
+        if (!this.isLoaded(entry)) {
+            return { primary: live, shadow: { ...summarise(null, entry.version, null), error: `Shadow model not loaded (${entry.state})` }, agree: null, tta };
+        }
+
+        try {
+            const output = this.pool
+                ? await this.pool.run({ task: 'predict', modelPath: entry.modelPath, image, calibration: entry.calibration, preprocessing: entry.preprocessing, tta }, { background: true })
+                : await this.runPrediction(entry.session, image, entry.calibration, { preprocessing: entry.preprocessing, tta });
+            const shadow = summarise(output, entry.version, output.debug?.inferenceTime ?? null);
+
+            const comparison = {
+                primary: live,
+                shadow,
+                tta,
+                agree: shadow.prediction === live.prediction,
+                probabilityDelta: shadow.anemicProbability - live.anemicProbability,
+                latencyDeltaMs: live.latencyMs !== null && shadow.latencyMs !== null ? shadow.latencyMs - live.latencyMs : null
+            };
+            console.log(`🧪 Shadow ${entry.name}@${entry.version}: ${shadow.prediction} vs live ${live.prediction} (${comparison.agree ? 'agree' : 'DISAGREE'}, ${shadow.latencyMs}ms vs ${live.latencyMs}ms)`);
+            return comparison;
+        } catch (error) {
+            // Shadow runs are dropped, not failed, when patients keep the pool busy
+            if (error.code === 'QUEUE_FULL') {
+                console.log('🧪 Shadow run skipped - inference pool busy');
+                return null;
+            }
+            console.warn(`⚠️ Shadow prediction failed: ${error.message}`);
             return {
-                prediction: 'Anemic', // Cautious default
-                confidence: 0.8,
-                usingDefaultPrediction: true,
-                modelSource: 'none',
-                error: error.message
+                primary: live,
+                shadow: { ...summarise(null, entry.version, null), error: error.message },
+                agree: null,
+                tta
             };
         }
     }
 
+    // Returned instead of a prediction when none could be made - never a guessed label
+    inconclusiveResult(reason, modelInfo, error = null) {
+        return {
+            prediction: 'Inconclusive',
+            status: 'inconclusive',
+            inconclusive: true,
+            reason,
+            message: INCONCLUSIVE_MESSAGES[reason],
+            confidence: null,
+            probabilities: null,
+            modelSource: 'none',
+            ...modelInfo,
+            ...(error ? { error: error.message } : {})
+        };
+    }
+
+    // Predict several images with one batched forward pass. Returns one result per image.
+    async predictBatch(images, options = {}) {
+        console.log(`🤖 Starting batch prediction for ${images.length} images`);
+
+        const entry = this.resolveModel(options.model, options.version);
+        const session = entry.session;
+        const modelInfo = { modelName: entry.name, modelVersion: entry.version };
+        const inconclusiveResults = (reason, error) =>
+            images.map(() => this.inconclusiveResult(reason, modelInfo, error));
+
+        if (!this.isLoaded(entry)) {
+            console.error(`❌ Model ${entry.name}@${entry.version} not loaded - results are inconclusive`);
+            return inconclusiveResults('MODEL_NOT_LOADED');
+        }
+
+        try {
+            const outputs = this.pool
+                ? await this.pool.run({ task: 'predictBatch', modelPath: entry.modelPath, images, calibration: entry.calibration, preprocessing: entry.preprocessing })
+                : await this.runBatchPrediction(session, images, entry.calibration, { preprocessing: entry.preprocessing });
+
+            return outputs.map(output => {
+                if (output.preprocessingFailed) {
+                    return this.inconclusiveResult('PREPROCESSING_FAILED', modelInfo, new Error(output.error));
+                }
+                return {
+                    ...output,
+                    status: output.qualityRejected ? 'rejected' : 'completed',
+                    inconclusive: false,
+                    modelSource: entry.loadedFrom,
+                    ...modelInfo
+                };
+            });
+        } catch (error) {
+            if (error.code === 'QUEUE_FULL') {
+                throw error;
+            }
+
+            console.error('❌ Batch prediction error:', error);
+            return inconclusiveResults('INFERENCE_FAILED', error);
+        }
+    }
+
+    // Check an uploaded file (multer file object, on disk or in memory) by size and
+    // content. Returns a list of problems; empty when the file is acceptable.
     validateImageFile(file) {
         const errors = [];
         
@@ -459,60 +1751,164 @@ class ModelManager {
             errors.push('File size too small (minimum 1KB)');
         }
 
-        // Check file type
-        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-        if (!allowedTypes.includes(file.mimetype)) {
-            errors.push('Invalid file type. Please upload JPEG, PNG, GIF, or WebP images only.');
+        // Check the actual content; the mimetype and extension come from the client
+        if (!detectImageFormat(this.readFileHeader(file))) {
+            errors.push('Unsupported image format. Please upload a JPEG, PNG, GIF, WebP or HEIC photo.');
+        }
+
+        return errors;
+    }
+
+    readFileHeader(file, length = 32) {
+        if (file.buffer) {
+            return file.buffer.subarray(0, length);
+        }
+        const header = Buffer.alloc(length);
+        const fd = fs.openSync(file.path, 'r');
+        try {
+            const bytesRead = fs.readSync(fd, header, 0, length, 0);
+            return header.subarray(0, bytesRead);
+        } finally {
+            fs.closeSync(fd);
         }
+    }
 
-        // Check file extension
-        const allowedExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
-        const fileExtension = path.extname(file.originalname).toLowerCase();
-        if (!allowedExtensions.includes(fileExtension)) {
-            errors.push('Invalid file extension');
+    // Decode an uploaded image, turn it upright according to its EXIF orientation
+    // and re-encode it without any metadata (GPS position, device identifiers,
+    // timestamps). HEIC/HEIF photos become JPEG. Returns { buffer, format }.
+    async sanitiseImage(input) {
+        const sourceFormat = detectImageFormat(input.subarray(0, 32));
+        if (!sourceFormat) {
+            throw new Error('Unsupported image format');
         }
 
-        return errors;
+        const image = sourceFormat === 'heif' ? await this.decodeHeif(input) : sharp(input).rotate();
+        const format = SANITISED_FORMATS[sourceFormat];
+        // sharp writes no metadata unless asked to with withMetadata()
+        const buffer = await image
+            .toFormat(format, format === 'png' ? {} : { quality: SANITISED_QUALITY })
+            .toBuffer();
+        return { buffer, format };
     }
 
-    getModelSource() {
-        if (fs.existsSync(this.cachedModelPath)) {
+    // AV1-coded HEIF decodes natively; HEVC-coded HEIC (iPhone photos) needs
+    // heic-decode because sharp's prebuilt libheif ships without an HEVC decoder.
+    // Both apply the HEIF rotation/mirror transforms themselves.
+    async decodeHeif(input) {
+        try {
+            const { data, info } = await sharp(input).raw().toBuffer({ resolveWithObject: true });
+            return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+        } catch (error) {
+            // Loaded on first use: the decoder's WebAssembly build costs ~20MB per process
+            const heicDecode = require('heic-decode');
+            const { width, height, data } = await heicDecode({ buffer: input });
+            return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+        }
+    }
+
+    getModelSource(entry = this.resolveModel()) {
+        const source = parseModelSource(entry.source);
+        if (this.isLoaded(entry)) {
+            return entry.loadedFrom;
+        } else if (source.type === 'file' && fs.existsSync(source.path)) {
+            return 'file';
+        } else if (fs.existsSync(entry.cachedModelPath)) {
             return 'huggingface_cached';
-        } else if (fs.existsSync(this.localModelPath)) {
+        } else if (fs.existsSync(entry.localModelPath)) {
             return 'local';
         } else {
             return 'none';
         }
     }
 
-    getModelStatus() {
+    getEntryStatus(entry) {
+        const versions = this.models.get(entry.name);
         return {
-            isLoaded: !!this.sessionONNX,
-            loadAttempts: this.modelLoadAttempts,
+            name: entry.name,
+            version: entry.version,
+            active: versions.activeVersion === entry.version,
+            isDefault: entry.name === this.defaultModelName,
+            isShadow: this.shadowModel?.name === entry.name && this.shadowModel?.version === entry.version,
+            isLoaded: this.isLoaded(entry),
+            loadAttempts: entry.loadAttempts,
             maxAttempts: this.maxLoadAttempts,
-            isLoading: this.isLoading,
-            repository: 'syntichemusawu/MalariaD',
-            modelUrl: this.modelPath,
-            modelSource: this.getModelSource(),
-            cached: fs.existsSync(this.cachedModelPath),
-            localExists: fs.existsSync(this.localModelPath),
-            inputNames: this.sessionONNX?.inputNames || [],
-            outputNames: this.sessionONNX?.outputNames || []
+            isLoading: entry.isLoading,
+            repository: entry.repository,
+            modelUrl: entry.source,
+            sourceType: parseModelSource(entry.source).type,
+            state: entry.state,
+            error: entry.lastError,
+            sha256: entry.sha256,
+            checksumPinned: !!entry.sha256,
+            pinSource: entry.pinSource,
+            modelSource: this.getModelSource(entry),
+            cached: fs.existsSync(entry.cachedModelPath),
+            localExists: fs.existsSync(entry.localModelPath),
+            inputNames: entry.inputNames,
+            outputNames: entry.outputNames,
+            preprocessing: entry.preprocessing,
+            calibration: {
+                version: entry.calibration.version,
+                method: entry.calibration.method,
+                threshold: entry.calibration.threshold
+            }
+        };
+    }
+
+    listModels() {
+        return this.getAllEntries().map(entry => this.getEntryStatus(entry));
+    }
+
+    // Top-level fields describe the default model; `models` covers the registry
+    getModelStatus() {
+        return {
+            ...this.getEntryStatus(this.resolveModel()),
+            defaultModel: this.defaultModelName,
+            shadowModel: this.shadowModel,
+            models: this.listModels()
+        };
+    }
+
+    // Settings the inference workers need to behave exactly like this manager
+    getWorkerOptions() {
+        return {
+            qualityGate: this.qualityGate,
+            qualityThresholds: this.qualityThresholds,
+            roiMethod: this.roiMethod,
+            uncertaintyThresholds: this.uncertaintyThresholds
         };
     }
 
+    getPoolStats() {
+        if (!this.pool) {
+            return { enabled: false, workers: 0, queueDepth: 0, utilisation: 0 };
+        }
+        return { enabled: true, ...this.pool.getStats() };
+    }
+
+    async shutdown() {
+        if (this.pool) {
+            await this.pool.close();
+            this.pool = null;
+        }
+    }
+
     // Health check method
-    isModelReady() {
-        return this.sessionONNX !== null && !this.isLoading;
+    isModelReady(name, version) {
+        const entry = this.resolveModel(name, version);
+        return this.isLoaded(entry) && !entry.isLoading;
     }
 
-    // Method to retry loading the model
+    // Method to retry loading models that are not loaded yet
     async retryLoadModel() {
-        if (this.modelLoadAttempts < this.maxLoadAttempts) {
-            console.log('🔄 Retrying model load...');
-            await this.loadModel();
-        } else {
-            console.log('❌ Cannot retry - maximum attempts reached');
+        const pending = this.getAllEntries().filter(entry => !this.isLoaded(entry));
+        for (const entry of pending) {
+            if (entry.loadAttempts < this.maxLoadAttempts) {
+                console.log(`🔄 Retrying model load for ${entry.name}@${entry.version}...`);
+                await this.loadModelEntry(entry);
+            } else {
+                console.log(`❌ Cannot retry ${entry.name}@${entry.version} - maximum attempts reached`);
+            }
         }
         return this.getModelStatus();
     }
@@ -520,10 +1916,18 @@ class ModelManager {
     // Clear cache method
     async clearCache() {
         try {
-            if (fs.existsSync(this.cachedModelPath)) {
-                fs.unlinkSync(this.cachedModelPath);
-                console.log('✅ Model cache cleared');
+            for (const entry of this.getAllEntries()) {
+                if (fs.existsSync(entry.cachedModelPath)) {
+                    fs.unlinkSync(entry.cachedModelPath);
+                }
+                // A recorded hash only ever pinned the file it was recorded for
+                fs.rmSync(`${entry.cachedModelPath}.sha256`, { force: true });
+                if (entry.pinSource === 'recorded') {
+                    entry.sha256 = null;
+                    entry.pinSource = null;
+                }
             }
+            console.log('✅ Model cache cleared');
             return { success: true, message: 'Cache cleared' };
         } catch (error) {
             console.error('❌ Failed to clear cache:', error);
@@ -0,0 +1,192 @@
+// models/calibration.js - Probability calibration and threshold analysis for the anemia model
+//
+// All probabilities here are P(Anemic). Labels are 1 for Anemic, 0 for Non-anemic.
+
+const EPSILON = 1e-6;
+
+const clamp = (p) => Math.min(1 - EPSILON, Math.max(EPSILON, p));
+const logit = (p) => Math.log(clamp(p) / (1 - clamp(p)));
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const UNCALIBRATED = { method: 'none', params: {}, threshold: 0.5, version: null, profileId: null };
+
+// Map an uncalibrated P(Anemic) through the fitted calibration
+const applyCalibration = (probability, calibration = UNCALIBRATED) => {
+    switch (calibration.method) {
+        case 'platt':
+            return sigmoid(calibration.params.a * logit(probability) + calibration.params.b);
+        case 'temperature':
+            return sigmoid(logit(probability) / calibration.params.temperature);
+        default:
+            return probability;
+    }
+};
+
+const logLoss = (probs, labels) => {
+    const total = probs.reduce((sum, p, i) => {
+        const q = clamp(p);
+        return sum - (labels[i] ? Math.log(q) : Math.log(1 - q));
+    }, 0);
+    return total / probs.length;
+};
+
+const brierScore = (probs, labels) =>
+    probs.reduce((sum, p, i) => sum + (p - labels[i]) ** 2, 0) / probs.length;
+
+// Platt scaling: P = sigmoid(a * logit(p) + b), fitted by Newton's method on the
+// log loss with Platt's smoothed targets to avoid overfitting small sets.
+const fitPlatt = (probs, labels) => {
+    const positives = labels.filter(Boolean).length;
+    const negatives = labels.length - positives;
+    const hi = (positives + 1) / (positives + 2);
+    const lo = 1 / (negatives + 2);
+    const targets = labels.map(label => (label ? hi : lo));
+    const z = probs.map(logit);
+
+    let a = 1;
+    let b = 0;
+    for (let iteration = 0; iteration < 100; iteration++) {
+        let gA = 0, gB = 0, hAA = 0, hAB = 0, hBB = 0;
+        for (let i = 0; i < z.length; i++) {
+            const p = sigmoid(a * z[i] + b);
+            const diff = p - targets[i];
+            const w = Math.max(p * (1 - p), 1e-12);
+            gA += diff * z[i];
+            gB += diff;
+            hAA += w * z[i] * z[i];
+            hAB += w * z[i];
+            hBB += w;
+        }
+        // Small ridge term keeps the Hessian invertible on separable data
+        hAA += 1e-6;
+        hBB += 1e-6;
+        const det = hAA * hBB - hAB * hAB;
+        if (Math.abs(det) < 1e-12) break;
+
+        const stepA = (hBB * gA - hAB * gB) / det;
+        const stepB = (hAA * gB - hAB * gA) / det;
+        a -= stepA;
+        b -= stepB;
+        if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+    }
+
+    return { a, b };
+};
+
+// Temperature scaling: P = sigmoid(logit(p) / T), T found by golden-section
+// search on log T over [1/20, 20].
+const fitTemperature = (probs, labels) => {
+    const loss = (logT) => logLoss(probs.map(p => sigmoid(logit(p) / Math.exp(logT))), labels);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = Math.log(0.05);
+    let hi = Math.log(20);
+    let x1 = hi - ratio * (hi - lo);
+    let x2 = lo + ratio * (hi - lo);
+    let f1 = loss(x1);
+    let f2 = loss(x2);
+
+    while (hi - lo > 1e-5) {
+        if (f1 < f2) {
+            hi = x2;
+            x2 = x1;
+            f2 = f1;
+            x1 = hi - ratio * (hi - lo);
+            f1 = loss(x1);
+        } else {
+            lo = x1;
+            x1 = x2;
+            f1 = f2;
+            x2 = lo + ratio * (hi - lo);
+            f2 = loss(x2);
+        }
+    }
+
+    return { temperature: Math.exp((lo + hi) / 2) };
+};
+
+const fitCalibration = (method, probs, labels) => {
+    switch (method) {
+        case 'platt':
+            return fitPlatt(probs, labels);
+        case 'temperature':
+            return fitTemperature(probs, labels);
+        case 'none':
+            return {};
+        default:
+            throw new Error(`Unknown calibration method: ${method}`);
+    }
+};
+
+// Confusion counts at one threshold (Anemic when P(Anemic) >= threshold)
+const confusionAt = (probs, labels, threshold) => {
+    let tp = 0, fp = 0, tn = 0, fn = 0;
+    probs.forEach((p, i) => {
+        const predictedAnemic = p >= threshold;
+        if (labels[i]) {
+            predictedAnemic ? tp++ : fn++;
+        } else {
+            predictedAnemic ? fp++ : tn++;
+        }
+    });
+    const ratio = (num, den) => (den > 0 ? num / den : null);
+    return {
+        threshold: Number(threshold.toFixed(2)),
+        sensitivity: ratio(tp, tp + fn),
+        specificity: ratio(tn, tn + fp),
+        ppv: ratio(tp, tp + fp),
+        npv: ratio(tn, tn + fn),
+        tp, fp, tn, fn
+    };
+};
+
+// Sensitivity/specificity at thresholds 0.05, 0.10, ... 0.95
+const thresholdCurve = (probs, labels, step = 0.05) => {
+    const curve = [];
+    for (let t = step; t < 1 - EPSILON; t += step) {
+        curve.push(confusionAt(probs, labels, t));
+    }
+    return curve;
+};
+
+// Highest threshold that still reaches the target sensitivity - i.e. the best
+// specificity we can get while keeping screening sensitivity where we want it.
+const recommendThreshold = (curve, targetSensitivity) => {
+    const candidates = curve.filter(point => point.sensitivity !== null && point.sensitivity >= targetSensitivity);
+    if (candidates.length === 0) {
+        return curve.length ? curve[0].threshold : 0.5;
+    }
+    return candidates[candidates.length - 1].threshold;
+};
+
+// Area under the ROC curve via the Mann-Whitney U statistic (ties count half)
+const rocAuc = (probs, labels) => {
+    const ranked = probs.map((p, i) => ({ p, label: labels[i] })).sort((x, y) => x.p - y.p);
+    const positives = labels.filter(Boolean).length;
+    const negatives = labels.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    let positiveRankSum = 0;
+    for (let i = 0; i < ranked.length;) {
+        let j = i;
+        while (j < ranked.length && ranked[j].p === ranked[i].p) j++;
+        const averageRank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (ranked[k].label) positiveRankSum += averageRank;
+        }
+        i = j;
+    }
+
+    return (positiveRankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+module.exports = {
+    UNCALIBRATED,
+    applyCalibration,
+    fitCalibration,
+    thresholdCurve,
+    confusionAt,
+    recommendThreshold,
+    logLoss,
+    brierScore,
+    rocAuc
+};
@@ -0,0 +1,109 @@
+// models/drift.js - Input and prediction drift between a baseline and a recent window
+//
+// A window summary is built by the server's aggregations:
+//   { uploads, rejected, brightness: { mean, std }, megapixels: { mean, std },
+//     histogram: [3 * HISTOGRAM_BINS shares, R then G then B], screenings, anemic }
+
+// Colour histogram bins per channel (0-255 in steps of 32)
+const HISTOGRAM_BINS = 8;
+const CHANNELS = ['red', 'green', 'blue'];
+const EPSILON = 1e-4;
+
+const DEFAULT_DRIFT_THRESHOLDS = {
+    minBaselineUploads: 100,
+    minRecentUploads: 30,
+    maxMeanShift: 0.5,    // |recent mean - baseline mean| in baseline standard deviations
+    maxHistogramPsi: 0.2, // population stability index of one colour channel
+    maxRateZ: 3           // two-proportion z-score of the anemic and rejection rates
+};
+
+// Population stability index: 0 for identical distributions, > 0.2 is a clear shift
+const populationStabilityIndex = (expected, actual) =>
+    expected.reduce((sum, e, i) => {
+        const p = Math.max(e, EPSILON);
+        const q = Math.max(actual[i], EPSILON);
+        return sum + (q - p) * Math.log(q / p);
+    }, 0);
+
+const meanShift = (baseline, recent) => {
+    if (baseline.std > 0) return Math.abs(recent.mean - baseline.mean) / baseline.std;
+    return recent.mean === baseline.mean ? 0 : Infinity;
+};
+
+// z-score of the difference between two rates; 0 when either window is empty
+const proportionZ = (baselineCount, baselineTotal, recentCount, recentTotal) => {
+    if (!baselineTotal || !recentTotal) return 0;
+    const pooled = (baselineCount + recentCount) / (baselineTotal + recentTotal);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / baselineTotal + 1 / recentTotal));
+    if (se === 0) return 0;
+    return (recentCount / recentTotal - baselineCount / baselineTotal) / se;
+};
+
+const rate = (count, total) => (total ? count / total : null);
+
+// Compare the recent window with the baseline. status is 'insufficient_data' until both
+// windows have enough uploads, then 'drift' when any metric is over its limit, else 'ok'.
+const compareWindows = (baseline, recent, thresholds = DEFAULT_DRIFT_THRESHOLDS) => {
+    const t = { ...DEFAULT_DRIFT_THRESHOLDS, ...thresholds };
+    if (baseline.uploads < t.minBaselineUploads || recent.uploads < t.minRecentUploads) {
+        return {
+            status: 'insufficient_data',
+            message: `Drift is checked once the baseline has ${t.minBaselineUploads} uploads and the recent window ${t.minRecentUploads} (now ${baseline.uploads} and ${recent.uploads})`,
+            metrics: []
+        };
+    }
+
+    const metrics = [
+        {
+            metric: 'brightness',
+            baseline: baseline.brightness.mean,
+            recent: recent.brightness.mean,
+            score: meanShift(baseline.brightness, recent.brightness),
+            limit: t.maxMeanShift
+        },
+        {
+            metric: 'image_size',
+            baseline: baseline.megapixels.mean,
+            recent: recent.megapixels.mean,
+            score: meanShift(baseline.megapixels, recent.megapixels),
+            limit: t.maxMeanShift
+        },
+        ...CHANNELS.map((channel, c) => {
+            const slice = (histogram) => histogram.slice(c * HISTOGRAM_BINS, (c + 1) * HISTOGRAM_BINS);
+            return {
+                metric: `colour_${channel}`,
+                baseline: slice(baseline.histogram),
+                recent: slice(recent.histogram),
+                score: populationStabilityIndex(slice(baseline.histogram), slice(recent.histogram)),
+                limit: t.maxHistogramPsi
+            };
+        }),
+        {
+            metric: 'rejection_rate',
+            baseline: rate(baseline.rejected, baseline.uploads),
+            recent: rate(recent.rejected, recent.uploads),
+            score: Math.abs(proportionZ(baseline.rejected, baseline.uploads, recent.rejected, recent.uploads)),
+            limit: t.maxRateZ
+        },
+        {
+            metric: 'anemic_rate',
+            baseline: rate(baseline.anemic, baseline.screenings),
+            recent: rate(recent.anemic, recent.screenings),
+            score: Math.abs(proportionZ(baseline.anemic, baseline.screenings, recent.anemic, recent.screenings)),
+            limit: t.maxRateZ
+        }
+    ].map(metric => ({ ...metric, drifted: metric.score > metric.limit }));
+
+    return {
+        status: metrics.some(metric => metric.drifted) ? 'drift' : 'ok',
+        metrics
+    };
+};
+
+module.exports = {
+    HISTOGRAM_BINS,
+    DEFAULT_DRIFT_THRESHOLDS,
+    populationStabilityIndex,
+    proportionZ,
+    compareWindows
+};
@@ -0,0 +1,277 @@
+// models/fhir.js - FHIR R4 resources for screening results and doctor assessments
+//
+// Pure mapping: the server loads the records and passes them in. Resource ids are
+// the MongoDB ids, so exporting the same record twice gives the same resource.
+//   Patient               - the user and their current profile
+//   Observation           - one PatientResult (coded Anemic / Non-anemic + P(Anemic))
+//   QuestionnaireResponse - symptom checker answers sent with an assessment
+//   DiagnosticReport      - one DoctorAssessment and the doctor's conclusion
+const crypto = require('crypto');
+
+const SNOMED = 'http://snomed.info/sct';
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const DATA_ABSENT_REASON = 'http://terminology.hl7.org/CodeSystem/data-absent-reason';
+
+// Symptom checker questions, by the keys the dashboard stores answers under
+const SYMPTOM_QUESTIONS = {
+    fever: 'Fever above 38°C',
+    chills: 'Chills or shivering',
+    sweating: 'Excessive sweating',
+    headache: 'Headache',
+    nausea: 'Nausea or vomiting',
+    fatigue: 'Fatigue or weakness',
+    pain: 'Muscle or joint pain',
+    jaundice: 'Yellowing of skin or eyes',
+    seizure: 'Confusion or seizures',
+    travel: 'Recent travel to or living in a malaria-endemic area'
+};
+
+// DoctorAssessment.status -> DiagnosticReport.status
+const REPORT_STATUS = { pending: 'registered', reviewed: 'preliminary', completed: 'final' };
+
+const GENDERS = { female: 'female', male: 'male', other: 'other' };
+
+// Code systems and identifiers of this deployment, under its FHIR base URL
+const localSystems = (baseUrl) => ({
+    codes: `${baseUrl}/CodeSystem/anemia-screening`,
+    username: `${baseUrl}/sid/username`,
+    questionnaire: `${baseUrl}/Questionnaire/symptom-checker`
+});
+
+// FHIR JSON has no nulls, empty strings, arrays or objects: drop them recursively
+const compact = (value) => {
+    if (Array.isArray(value)) {
+        const items = value.map(compact).filter(item => item !== undefined);
+        return items.length ? items : undefined;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const entries = Object.entries(value)
+            .map(([key, item]) => [key, compact(item)])
+            .filter(([, item]) => item !== undefined);
+        return entries.length ? Object.fromEntries(entries) : undefined;
+    }
+    if (value === null || value === undefined || value === '') return undefined;
+    return value;
+};
+
+const instant = (date) => (date ? new Date(date).toISOString() : undefined);
+const dateOnly = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+const percent = (probability) => ({ value: Math.round(probability * 1000) / 10, unit: '%', system: UCUM, code: '%' });
+
+// Stable id for a patient with no user record (only a username on their results)
+const patientId = (username, user) => (user?._id
+    ? String(user._id)
+    : `u-${crypto.createHash('sha256').update(username).digest('hex').slice(0, 40)}`);
+
+const reference = (resource) => ({ reference: `${resource.resourceType}/${resource.id}` });
+
+const toPatient = ({ username, user, profile }, systems) => compact({
+    resourceType: 'Patient',
+    id: patientId(username, user),
+    identifier: [{ system: systems.username, value: username }],
+    active: user ? user.is_active !== false : undefined,
+    name: user?.full_name ? [{ text: user.full_name }] : undefined,
+    gender: GENDERS[profile?.sex] || 'unknown',
+    birthDate: dateOnly(profile?.dateOfBirth),
+    address: profile?.region ? [{ text: profile.region }] : undefined
+});
+
+// One screening. Completed results carry the coded outcome, P(Anemic) and the threshold
+// it was judged against; inconclusive ones say why there is no value; pending ones
+// are 'registered' until the model has seen the photo.
+const toObservation = (result, patientRef, systems) => {
+    const conclusive = result.status === 'completed' && ['Anemic', 'Non-anemic'].includes(result.prediction);
+    const anemic = result.prediction === 'Anemic';
+    const anemicProbability = result.probabilities?.anemic;
+
+    const notes = [];
+    if (result.reviewRequired) {
+        notes.push('The prediction varied across augmented views of the photo; clinical review recommended.');
+    }
+    if (result.resubmissionOf) {
+        notes.push(`Repeat of the photo screened in Observation/${result.resubmissionOf}.`);
+    }
+    if (result.status === 'inconclusive' && result.statusMessage) {
+        notes.push(result.statusMessage);
+    }
+
+    return compact({
+        resourceType: 'Observation',
+        id: String(result._id),
+        status: result.status === 'pending' ? 'registered' : 'final',
+        category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: 'exam', display: 'Exam' }] }],
+        code: {
+            coding: [
+                { system: SNOMED, code: '271737000', display: 'Anemia' },
+                { system: systems.codes, code: 'eyelid-anemia-screening', display: 'AI anemia screening from an eyelid photo' }
+            ],
+            text: 'Anemia screening (eyelid photo)'
+        },
+        subject: patientRef,
+        effectiveDateTime: instant(result.timestamp),
+        issued: result.status === 'pending' ? undefined : instant(result.analysedAt || result.timestamp),
+        valueCodeableConcept: conclusive ? {
+            coding: [
+                anemic
+                    ? { system: SNOMED, code: '52101004', display: 'Present' }
+                    : { system: SNOMED, code: '2667000', display: 'Absent' },
+                { system: systems.codes, code: anemic ? 'anemic' : 'non-anemic', display: result.prediction }
+            ],
+            text: result.prediction
+        } : undefined,
+        dataAbsentReason: result.status === 'inconclusive' ? {
+            coding: [{ system: DATA_ABSENT_REASON, code: 'error', display: 'Error' }],
+            text: result.statusReason || undefined
+        } : undefined,
+        interpretation: conclusive ? [{
+            coding: [{ system: INTERPRETATION, code: anemic ? 'POS' : 'NEG', display: anemic ? 'Positive' : 'Negative' }]
+        }] : undefined,
+        note: notes.map(text => ({ text })),
+        method: { text: 'Deep learning model applied to a photo of the lower eyelid (palpebral conjunctiva)' },
+        device: result.modelName ? { display: `${result.modelName}@${result.modelVersion}` } : undefined,
+        component: conclusive && Number.isFinite(anemicProbability) ? [
+            {
+                code: { coding: [{ system: systems.codes, code: 'anemia-probability', display: 'Probability of anemia' }] },
+                valueQuantity: percent(anemicProbability)
+            },
+            Number.isFinite(result.calibration?.threshold) ? {
+                code: { coding: [{ system: systems.codes, code: 'decision-threshold', display: 'Probability at or above which the result is Anemic' }] },
+                valueQuantity: percent(result.calibration.threshold)
+            } : undefined,
+            Number.isFinite(result.uncertainty?.std) ? {
+                code: { coding: [{ system: systems.codes, code: 'probability-spread', display: 'Standard deviation of the probability across augmented views' }] },
+                valueQuantity: percent(result.uncertainty.std)
+            } : undefined
+        ] : undefined
+    });
+};
+
+const toAnswer = (value) => {
+    if (value === 'yes' || value === true) return { valueBoolean: true };
+    if (value === 'no' || value === false) return { valueBoolean: false };
+    if (typeof value === 'number') return { valueDecimal: value };
+    return { valueString: String(value) };
+};
+
+// Symptom checker answers. id is the record they were sent with, prefixed 'qr-' so it
+// never clashes with the Observation of the same screening. Only the checker's own
+// questions become items, whatever else older records may hold.
+const toQuestionnaireResponse = ({ id, symptoms, riskLevel, authored, observationRef }, patientRef, systems) => compact({
+    resourceType: 'QuestionnaireResponse',
+    id: `qr-${id}`,
+    questionnaire: systems.questionnaire,
+    status: 'completed',
+    partOf: observationRef ? [observationRef] : undefined,
+    subject: patientRef,
+    authored: instant(authored),
+    author: patientRef,
+    source: patientRef,
+    item: [
+        ...Object.entries(symptoms || {})
+            .filter(([linkId, value]) => Object.hasOwn(SYMPTOM_QUESTIONS, linkId) && value !== null && value !== undefined && value !== '')
+            .map(([linkId, value]) => ({
+                linkId,
+                text: SYMPTOM_QUESTIONS[linkId],
+                answer: [toAnswer(value)]
+            })),
+        riskLevel ? { linkId: 'riskLevel', text: 'Risk level from the symptom checker', answer: [{ valueString: riskLevel }] } : undefined
+    ]
+});
+
+const toDiagnosticReport = (assessment, { patientRef, observationRef, doctorName }) => compact({
+    resourceType: 'DiagnosticReport',
+    id: String(assessment._id),
+    status: REPORT_STATUS[assessment.status] || 'registered',
+    code: {
+        coding: [{ system: LOINC, code: '11488-4', display: 'Consult note' }],
+        text: 'Doctor review of anemia screening and malaria symptoms'
+    },
+    subject: patientRef,
+    effectiveDateTime: instant(assessment.timestamp),
+    issued: instant(assessment.reviewed_at),
+    performer: doctorName ? [{ display: doctorName }] : undefined,
+    result: observationRef ? [observationRef] : undefined,
+    conclusion: assessment.conclusion || undefined
+});
+
+/**
+ * Bundle (type 'collection') of everything exported for a set of patients.
+ * patients: [{ username, user, profile }]; results and assessments are lean records
+ * of those patients; doctorNames maps doctorId to a display name.
+ */
+const buildBundle = ({ baseUrl, patients, results, assessments, doctorNames = {} }) => {
+    const systems = localSystems(baseUrl);
+    const resources = [];
+
+    const patientRefs = new Map();
+    for (const patient of patients) {
+        const resource = toPatient(patient, systems);
+        patientRefs.set(patient.username, reference(resource));
+        resources.push(resource);
+    }
+
+    const observationRefs = new Map();
+    for (const result of results) {
+        const resource = toObservation(result, patientRefs.get(result.username), systems);
+        observationRefs.set(String(result._id), reference(resource));
+        resources.push(resource);
+    }
+
+    // Symptoms sent with an assessment, or recorded with a screening no assessment covers
+    const coveredResults = new Set();
+    for (const assessment of assessments) {
+        const patientRef = patientRefs.get(assessment.from);
+        const observationRef = assessment.resultId ? observationRefs.get(String(assessment.resultId)) : undefined;
+        if (assessment.resultId) coveredResults.add(String(assessment.resultId));
+
+        if (assessment.symptoms && Object.keys(assessment.symptoms).length) {
+            resources.push(toQuestionnaireResponse({
+                id: assessment._id,
+                symptoms: assessment.symptoms,
+                riskLevel: assessment.riskLevel,
+                authored: assessment.timestamp,
+                observationRef
+            }, patientRef, systems));
+        }
+        resources.push(toDiagnosticReport(assessment, {
+            patientRef,
+            observationRef,
+            doctorName: doctorNames[assessment.doctorId]
+        }));
+    }
+    for (const result of results) {
+        if (coveredResults.has(String(result._id))) continue;
+        if (!result.symptoms || typeof result.symptoms !== 'object' || !Object.keys(result.symptoms).length) continue;
+        resources.push(toQuestionnaireResponse({
+            id: result._id,
+            symptoms: result.symptoms,
+            authored: result.timestamp,
+            observationRef: observationRefs.get(String(result._id))
+        }, patientRefs.get(result.username), systems));
+    }
+
+    const now = new Date().toISOString();
+    return compact({
+        resourceType: 'Bundle',
+        id: crypto.randomUUID(),
+        meta: { lastUpdated: now },
+        type: 'collection',
+        timestamp: now,
+        entry: resources.map(resource => ({
+            fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+            resource
+        }))
+    });
+};
+
+module.exports = {
+    SYMPTOM_QUESTIONS,
+    toPatient,
+    toObservation,
+    toQuestionnaireResponse,
+    toDiagnosticReport,
+    buildBundle
+};
@@ -0,0 +1,49 @@
+// models/imageHash.js - Perceptual hashes for spotting resubmitted photos
+//
+// dHash: the photo is shrunk to 9x8 greyscale and each bit records whether a
+// pixel is brighter than its right-hand neighbour. Re-encoding, resizing or a
+// screenshot of the same photo changes only a few of the 64 bits; a different
+// photo changes about half of them.
+const sharp = require('sharp');
+
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+
+// 64-bit dHash of an image (path or Buffer) as 16 hex characters
+const perceptualHash = async (image) => {
+    const pixels = await sharp(image)
+        .rotate()
+        .greyscale()
+        .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        let byte = 0;
+        for (let x = 0; x < HASH_WIDTH; x++) {
+            const offset = y * (HASH_WIDTH + 1) + x;
+            byte = (byte << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+        }
+        hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+};
+
+// Number of differing bits between two hashes of the same length
+const hammingDistance = (a, b) => {
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 2) {
+        let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
+
+module.exports = {
+    perceptualHash,
+    hammingDistance
+};
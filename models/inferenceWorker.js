@@ -0,0 +1,33 @@
+// models/inferenceWorker.js - Runs ModelManager preprocessing + inference off the main thread
+const { parentPort, workerData } = require('worker_threads');
+const ModelManager = require('./ModelManager');
+
+// Same preprocessing code and settings as the server, but no registry and no nested pool
+const manager = new ModelManager({ ...workerData, models: [], inferenceWorkers: 0 });
+
+// One session per model file, created on first use
+const sessions = new Map();
+
+const getSession = async (modelPath) => {
+    if (!sessions.has(modelPath)) {
+        sessions.set(modelPath, manager.createSession(modelPath));
+    }
+    try {
+        return await sessions.get(modelPath);
+    } catch (error) {
+        sessions.delete(modelPath);
+        throw error;
+    }
+};
+
+parentPort.on('message', async ({ id, task, modelPath, image, images, calibration, preprocessing, heatmap, tta }) => {
+    try {
+        const session = await getSession(modelPath);
+        const result = task === 'predictBatch'
+            ? await manager.runBatchPrediction(session, images, calibration, { preprocessing })
+            : await manager.runPrediction(session, image, calibration, { heatmap, tta, preprocessing });
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message, code: error.code });
+    }
+});
@@ -0,0 +1,164 @@
+// models/preprocessing.js - How a photo becomes model input, and model output becomes P(Non-anemic)
+//
+// Every loaded model gets a preprocessing spec. It is built from, in increasing priority:
+//   1. DEFAULT_SPEC - the original eyelid model (224x224, NCHW, RGB, ImageNet
+//      mean/std, one sigmoid output = P(Non-anemic))
+//   2. `preprocessing` in the model definition passed to registerModel()
+//   3. a sidecar JSON file next to the model file: <model file>.json,
+//      e.g. eyelid_anemia_model.onnx.json
+// and is then checked against the ONNX input/output metadata. Input size, layout
+// and output type that were not configured are taken from the metadata; configured
+// values that contradict it fail the model load with MODEL_CONFIG_MISMATCH.
+
+const CLASSES = ['Anemic', 'Non-anemic'];
+
+const DEFAULT_SPEC = {
+    inputSize: { width: 224, height: 224 },
+    layout: 'NCHW',       // NCHW | NHWC
+    channelOrder: 'RGB',  // RGB | BGR
+    scale: 255,           // pixel / scale before mean/std
+    mean: [0.485, 0.456, 0.406], // per input channel, in channelOrder
+    std: [0.229, 0.224, 0.225],
+    output: {
+        // sigmoid: one value per image, the probability of classes[1]
+        // softmax: two values per image, one per class in classes order
+        type: 'sigmoid',
+        classes: CLASSES,
+        logits: false     // true when the model outputs raw scores without the final activation
+    }
+};
+
+const createMismatchError = (message) => {
+    const error = new Error(message);
+    error.code = 'MODEL_CONFIG_MISMATCH';
+    return error;
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const softmax = (values) => {
+    const max = Math.max(...values);
+    const exps = values.map(v => Math.exp(v - max));
+    const total = exps.reduce((sum, v) => sum + v, 0);
+    return exps.map(v => v / total);
+};
+
+// Layout and size of a 4-D image input, as far as the metadata tells us
+const describeInput = (metadata) => {
+    const shape = metadata?.shape;
+    if (!Array.isArray(shape) || shape.length !== 4) return null;
+
+    const size = (height, width) => (Number.isInteger(height) && Number.isInteger(width) ? { width, height } : null);
+    if (shape[1] === 3) {
+        return { layout: 'NCHW', inputSize: size(shape[2], shape[3]), shape };
+    }
+    if (shape[3] === 3) {
+        return { layout: 'NHWC', inputSize: size(shape[1], shape[2]), shape };
+    }
+    return { layout: null, inputSize: null, shape };
+};
+
+const formatShape = (shape) => `[${shape.join(', ')}]`;
+
+// Values a spec must have whatever its source
+const validateSpec = (spec) => {
+    const problems = [];
+    const { inputSize, output } = spec;
+    if (!inputSize || !Number.isInteger(inputSize.width) || !Number.isInteger(inputSize.height) ||
+        inputSize.width <= 0 || inputSize.height <= 0) {
+        problems.push('inputSize must be { width, height } in whole pixels');
+    }
+    if (!['NCHW', 'NHWC'].includes(spec.layout)) problems.push(`unknown layout "${spec.layout}" (NCHW or NHWC)`);
+    if (!['RGB', 'BGR'].includes(spec.channelOrder)) problems.push(`unknown channelOrder "${spec.channelOrder}" (RGB or BGR)`);
+    if (!(spec.scale > 0)) problems.push('scale must be a positive number');
+    if (!Array.isArray(spec.mean) || spec.mean.length !== 3 || !spec.mean.every(Number.isFinite)) {
+        problems.push('mean must list 3 numbers');
+    }
+    if (!Array.isArray(spec.std) || spec.std.length !== 3 || !spec.std.every(v => Number.isFinite(v) && v !== 0)) {
+        problems.push('std must list 3 non-zero numbers');
+    }
+    if (!['sigmoid', 'softmax'].includes(output.type)) problems.push(`unknown output type "${output.type}" (sigmoid or softmax)`);
+    if (!Array.isArray(output.classes) || output.classes.length !== 2 ||
+        !CLASSES.every(label => output.classes.includes(label))) {
+        problems.push(`output.classes must list ${CLASSES.map(c => `"${c}"`).join(' and ')}`);
+    }
+    return problems;
+};
+
+// Merge configured settings over the defaults and reconcile them with the session metadata
+const resolveSpec = (session, configured = {}, label = 'model') => {
+    const spec = {
+        ...DEFAULT_SPEC,
+        ...configured,
+        output: { ...DEFAULT_SPEC.output, ...(configured.output || {}) }
+    };
+    const problems = [];
+
+    const input = describeInput(session.inputMetadata?.[0]);
+    if (input) {
+        if (!input.layout) {
+            problems.push(`model input ${formatShape(input.shape)} has no 3-channel axis`);
+        } else if (configured.layout && configured.layout !== input.layout) {
+            problems.push(`config says ${configured.layout} but model input ${formatShape(input.shape)} is ${input.layout}`);
+        } else {
+            spec.layout = input.layout;
+        }
+
+        if (input.inputSize) {
+            if (configured.inputSize &&
+                (configured.inputSize.width !== input.inputSize.width || configured.inputSize.height !== input.inputSize.height)) {
+                problems.push(`config says ${configured.inputSize.width}x${configured.inputSize.height} but model input ${formatShape(input.shape)} is ${input.inputSize.width}x${input.inputSize.height}`);
+            } else {
+                spec.inputSize = input.inputSize;
+            }
+        }
+    }
+
+    const outputShape = session.outputMetadata?.[0]?.shape;
+    const perImage = Array.isArray(outputShape) ? outputShape[outputShape.length - 1] : null;
+    if (Number.isInteger(perImage)) {
+        const configuredType = configured.output?.type;
+        if (perImage !== 1 && perImage !== 2) {
+            problems.push(`model output ${formatShape(outputShape)} has ${perImage} values per image; only 1 (sigmoid) or 2 (softmax) are supported`);
+        } else if (configuredType && perImage !== (configuredType === 'softmax' ? 2 : 1)) {
+            problems.push(`config says ${configuredType} output but model output ${formatShape(outputShape)} has ${perImage} value(s) per image`);
+        } else if (!configuredType) {
+            spec.output.type = perImage === 2 ? 'softmax' : 'sigmoid';
+        }
+    }
+
+    problems.push(...validateSpec(spec));
+    if (problems.length > 0) {
+        throw createMismatchError(`Preprocessing config does not match ${label}: ${problems.join('; ')}`);
+    }
+    return spec;
+};
+
+// Tensor dims for a batch of images under a spec
+const inputDims = (spec, batchSize = 1) => {
+    const { width, height } = spec.inputSize;
+    return spec.layout === 'NHWC' ? [batchSize, height, width, 3] : [batchSize, 3, height, width];
+};
+
+// Turn one image's slice of the model output into P(Non-anemic)
+const nonAnemicProbability = (values, output = DEFAULT_SPEC.output) => {
+    const expected = output.type === 'softmax' ? 2 : 1;
+    if (values.length !== expected) {
+        throw createMismatchError(`Model returned ${values.length} value(s) per image but its ${output.type} config expects ${expected}`);
+    }
+
+    if (output.type === 'softmax') {
+        const probabilities = output.logits ? softmax(values) : values;
+        return probabilities[output.classes.indexOf('Non-anemic')];
+    }
+
+    const probability = output.logits ? sigmoid(values[0]) : values[0];
+    return output.classes[1] === 'Non-anemic' ? probability : 1 - probability;
+};
+
+module.exports = {
+    DEFAULT_SPEC,
+    resolveSpec,
+    inputDims,
+    nonAnemicProbability
+};
@@ -0,0 +1,106 @@
+// models/tableExport.js - Streams records as CSV or XLSX
+//
+// Rows are written as they arrive, so an export of any size never sits in memory.
+// A sheet is a name plus columns: [{ header, width, value: record => cell }].
+// CSV holds one sheet; XLSX holds one worksheet per sheet.
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Spreadsheet apps run a CSV cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'string') return String(value);
+
+    const text = FORMULA_START.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// XLSX cells keep numbers, booleans and dates typed; anything else becomes text
+const xlsxCell = (value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+    return String(value);
+};
+
+// Resolves once the stream can take more data, or has closed (client went away)
+const drained = (stream) => new Promise(resolve => {
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+const createCsvWriter = (stream) => {
+    let columns = null;
+
+    const write = async (line) => {
+        if (!stream.write(`${line}\r\n`)) {
+            await drained(stream);
+        }
+    };
+
+    return {
+        async addSheet(name, sheetColumns) {
+            if (columns) throw new Error('A CSV export holds a single sheet');
+            columns = sheetColumns;
+            // Byte order mark so Excel opens the file as UTF-8
+            stream.write('\uFEFF');
+            await write(columns.map(column => csvCell(column.header)).join(','));
+        },
+        async addRecord(record) {
+            await write(columns.map(column => csvCell(column.value(record))).join(','));
+        },
+        async finish() {
+            stream.end();
+        }
+    };
+};
+
+const createXlsxWriter = (stream) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    let worksheet = null;
+    let columns = null;
+
+    return {
+        async addSheet(name, sheetColumns) {
+            if (worksheet) worksheet.commit();
+            columns = sheetColumns;
+            worksheet = workbook.addWorksheet(name.slice(0, 31)); // Excel's sheet name limit
+            worksheet.columns = columns.map(column => ({ header: column.header, width: column.width || 16 }));
+            worksheet.getRow(1).font = { bold: true };
+            worksheet.getRow(1).commit();
+        },
+        async addRecord(record) {
+            worksheet.addRow(columns.map(column => xlsxCell(column.value(record)))).commit();
+            if (stream.writableNeedDrain) {
+                await drained(stream);
+            }
+        },
+        async finish() {
+            if (worksheet) worksheet.commit();
+            await workbook.commit();
+        }
+    };
+};
+
+// Writer for 'csv' or 'xlsx' that streams into a writable stream (e.g. an HTTP response)
+const createTableWriter = (format, stream) => {
+    if (format === 'csv') return createCsvWriter(stream);
+    if (format === 'xlsx') return createXlsxWriter(stream);
+    throw new Error(`Unknown export format: ${format}`);
+};
+
+module.exports = {
+    FORMATS,
+    createTableWriter
+};
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// scripts/evaluateModel.js - Offline evaluation of the anemia model on labelled images
+//
+// Runs the server's own upload sanitising (sanitiseImage: orientation, re-encode,
+// HEIC to JPEG), quality gate, conjunctiva crop, preprocessImage and inference
+// (ModelManager.runPrediction) over a labelled dataset, so any training/serving
+// skew shows up in the numbers.
+//
+// Usage:
+//   npm run evaluate -- <dataset> [options]
+//
+// <dataset> is either
+//   - a directory with one sub-folder per class: anemic/ and non-anemic/
+//   - a CSV manifest with `path,label` columns (paths relative to the CSV file)
+//
+// Without --calibration the numbers are for raw model output at 0.5, not for the
+// operating point a deployment has activated.
+//
+// Options:
+//   --model <name>        registered model to evaluate (default: the server default)
+//   --version <version>   model version (default: the active version)
+//   --source <path|url>   evaluate this model file instead of the configured one
+//   --calibration <file>  calibration profile JSON to score with, e.g. the `active` object
+//                         of GET /api/admin/calibration (default: uncalibrated)
+//   --threshold <p>       P(Anemic) at or above which a photo counts as Anemic
+//                         (default: the calibration profile's threshold, else 0.5)
+//   --out <file>          per-image JSON report (default: evaluation-report-<timestamp>.json)
+//   --no-quality-gate     score every photo, including ones the server would reject
+//   --verbose             keep ModelManager's per-image logging
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const ModelManager = require('../models/ModelManager');
+const calibration = require('../models/calibration');
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif']);
+
+const usage = () => {
+    console.log('Usage: npm run evaluate -- <image-folder|manifest.csv> [--model name] [--version v] [--source path] [--calibration profile.json] [--threshold 0.5] [--out report.json] [--no-quality-gate] [--verbose]');
+};
+
+const parseArgs = (argv) => {
+    const options = { qualityGate: true, verbose: false };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--model': options.model = argv[++i]; break;
+            case '--version': options.version = argv[++i]; break;
+            case '--source': options.source = argv[++i]; break;
+            case '--calibration': options.calibration = argv[++i]; break;
+            case '--threshold': options.threshold = parseFloat(argv[++i]); break;
+            case '--out': options.out = argv[++i]; break;
+            case '--no-quality-gate': options.qualityGate = false; break;
+            case '--verbose': options.verbose = true; break;
+            case '--help':
+            case '-h':
+                usage();
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+    options.dataset = positional[0];
+    return options;
+};
+
+// 'Anemic' / 'anemic' / '1' -> 1, 'Non-anemic' / 'non_anemic' / 'nonanemic' / '0' -> 0
+const parseLabel = (value) => {
+    const normalised = String(value).trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (normalised === 'anemic' || normalised === '1') return 1;
+    if (normalised === 'nonanemic' || normalised === '0') return 0;
+    return null;
+};
+
+// Minimal CSV line parser: commas, double-quoted fields, "" escapes
+const parseCsvLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields.map(f => f.trim());
+};
+
+const loadManifest = (manifestPath) => {
+    const lines = fs.readFileSync(manifestPath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    const header = parseCsvLine(lines[0]).map(h => h.toLowerCase());
+    const pathColumn = header.indexOf('path');
+    const labelColumn = header.indexOf('label');
+    if (pathColumn === -1 || labelColumn === -1) {
+        throw new Error('Manifest must have a header row with "path" and "label" columns');
+    }
+
+    const baseDir = path.dirname(manifestPath);
+    return lines.slice(1).map((line, i) => {
+        const fields = parseCsvLine(line);
+        const label = parseLabel(fields[labelColumn]);
+        if (label === null) {
+            throw new Error(`Manifest line ${i + 2}: unknown label "${fields[labelColumn]}"`);
+        }
+        return { path: path.resolve(baseDir, fields[pathColumn]), label };
+    });
+};
+
+const loadFolder = (folder) => {
+    const images = [];
+    for (const dirent of fs.readdirSync(folder, { withFileTypes: true })) {
+        if (!dirent.isDirectory()) continue;
+        const label = parseLabel(dirent.name);
+        if (label === null) {
+            console.warn(`⚠️ Skipping folder "${dirent.name}" - expected anemic/ or non-anemic/`);
+            continue;
+        }
+        const classDir = path.join(folder, dirent.name);
+        fs.readdirSync(classDir)
+            .filter(file => IMAGE_EXTENSIONS.has(path.extname(file).toLowerCase()))
+            .sort()
+            .forEach(file => images.push({ path: path.join(classDir, file), label }));
+    }
+    return images;
+};
+
+// ModelManager logs every preprocessing step; keep the CLI output readable
+const quietly = async (verbose, fn) => {
+    if (verbose) return fn();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+};
+
+// Same rules as the server: a JSON object, or an error naming the variable
+const jsonFromEnv = (name) => {
+    const value = process.env[name];
+    if (!value) return undefined;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`${name} is not valid JSON (${error.message}): ${value}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${name} must be a JSON object, e.g. {"key": 1}; got ${value}`);
+    }
+    return parsed;
+};
+
+// A calibration profile as stored in CalibrationProfile, or the response of
+// GET /api/admin/calibration (its `active` profile is used)
+const loadCalibration = (filePath) => {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const profile = raw.active && typeof raw.active === 'object' ? raw.active : raw;
+    if (!['none', 'platt', 'temperature'].includes(profile.method)) {
+        throw new Error(`${filePath}: method must be none, platt or temperature`);
+    }
+    if (!(profile.threshold > 0 && profile.threshold < 1)) {
+        throw new Error(`${filePath}: threshold must be between 0 and 1`);
+    }
+    return {
+        ...calibration.UNCALIBRATED,
+        method: profile.method,
+        params: profile.params || {},
+        threshold: profile.threshold,
+        version: profile.version ?? null,
+        profileId: profile.profileId || profile._id || null,
+        model: raw.model || (profile.modelName ? { name: profile.modelName, version: profile.modelVersion } : null)
+    };
+};
+
+const formatPercent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.dataset) {
+        usage();
+        process.exit(1);
+    }
+    if (options.threshold !== undefined && !(options.threshold > 0 && options.threshold < 1)) {
+        throw new Error('--threshold must be between 0 and 1');
+    }
+
+    const datasetPath = path.resolve(options.dataset);
+    const images = fs.statSync(datasetPath).isDirectory() ? loadFolder(datasetPath) : loadManifest(datasetPath);
+    if (images.length === 0) {
+        throw new Error(`No labelled images found in ${datasetPath}`);
+    }
+    console.log(`📂 ${images.length} labelled images (${images.filter(i => i.label).length} anemic) from ${datasetPath}`);
+
+    const managerOptions = {
+        inferenceWorkers: 0,
+        qualityGate: options.qualityGate,
+        qualityThresholds: jsonFromEnv('QUALITY_THRESHOLDS'),
+        roiMethod: process.env.ROI_METHOD || undefined,
+        cacheDir: process.env.MODEL_CACHE_DIR || undefined,
+        localModelDir: process.env.MODEL_LOCAL_DIR || undefined,
+        allowUnpinned: process.env.ALLOW_UNPINNED_MODEL === 'true'
+    };
+    if (options.source) {
+        managerOptions.models = [{
+            name: options.model || 'eyelid-anemia',
+            version: options.version || 'candidate',
+            source: options.source,
+            fileName: path.basename(options.source)
+        }];
+    }
+
+    const manager = new ModelManager(managerOptions);
+    const entry = manager.resolveModel(options.model, options.version);
+    await quietly(options.verbose, () => manager.loadModel(entry.name, entry.version));
+    if (!entry.session) {
+        throw new Error(`Model ${entry.name}@${entry.version} could not be loaded (${entry.state}: ${entry.lastError})`);
+    }
+    console.log(`🤖 Evaluating ${entry.name}@${entry.version} (${entry.loadedFrom})`);
+
+    let profile = entry.calibration;
+    if (options.calibration) {
+        const { model, ...loaded } = loadCalibration(path.resolve(options.calibration));
+        if (model && (model.name !== entry.name || model.version !== entry.version)) {
+            console.warn(`⚠️ Calibration profile was fitted for ${model.name}@${model.version}, not ${entry.name}@${entry.version}`);
+        }
+        profile = loaded;
+        console.log(`🎯 Calibration: ${profile.method}${profile.version !== null ? ` v${profile.version}` : ''}, threshold ${profile.threshold}`);
+    } else {
+        console.warn('⚠️ No --calibration given - scoring raw model output, not the deployed operating point');
+    }
+    const threshold = options.threshold ?? profile.threshold;
+    const modelCalibration = { ...profile, threshold };
+
+    const report = [];
+    for (const [index, image] of images.entries()) {
+        const item = { path: image.path, label: image.label ? 'Anemic' : 'Non-anemic' };
+        try {
+            // Photos reach the model exactly as the server would store an upload
+            const { buffer } = await manager.sanitiseImage(fs.readFileSync(image.path));
+            const result = await quietly(options.verbose, () =>
+                manager.runPrediction(entry.session, buffer, modelCalibration, { preprocessing: entry.preprocessing }));
+            if (result.qualityRejected) {
+                item.status = 'rejected';
+                item.quality = result.quality;
+            } else {
+                item.status = 'scored';
+                item.prediction = result.prediction;
+                item.correct = result.prediction === item.label;
+                item.probabilities = result.probabilities;
+                item.quality = result.quality;
+                item.cropBox = result.cropBox;
+            }
+        } catch (error) {
+            item.status = 'error';
+            item.error = error.message;
+        }
+        report.push(item);
+
+        if ((index + 1) % 25 === 0 || index + 1 === images.length) {
+            console.log(`   ${index + 1}/${images.length} images processed`);
+        }
+    }
+
+    const scored = report.filter(item => item.status === 'scored');
+    const probs = scored.map(item => item.probabilities.anemic);
+    const labels = scored.map(item => (item.label === 'Anemic' ? 1 : 0));
+    const confusion = calibration.confusionAt(probs, labels, threshold);
+    const auc = calibration.rocAuc(probs, labels);
+    const accuracy = scored.length ? (confusion.tp + confusion.tn) / scored.length : null;
+
+    const summary = {
+        model: { name: entry.name, version: entry.version, source: entry.loadedFrom },
+        dataset: datasetPath,
+        threshold,
+        calibration: { method: profile.method, version: profile.version, profileId: profile.profileId, file: options.calibration || null },
+        qualityGate: options.qualityGate,
+        images: images.length,
+        scored: scored.length,
+        rejected: report.filter(item => item.status === 'rejected').length,
+        errors: report.filter(item => item.status === 'error').length,
+        confusionMatrix: { tp: confusion.tp, fn: confusion.fn, fp: confusion.fp, tn: confusion.tn },
+        sensitivity: confusion.sensitivity,
+        specificity: confusion.specificity,
+        ppv: confusion.ppv,
+        npv: confusion.npv,
+        accuracy,
+        auc,
+        curve: calibration.thresholdCurve(probs, labels)
+    };
+
+    const outPath = path.resolve(options.out || `evaluation-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(outPath, JSON.stringify({ summary, images: report }, null, 2));
+
+    console.log('');
+    console.log('📊 Confusion matrix (rows: actual, columns: predicted)');
+    console.log('                 Anemic   Non-anemic');
+    console.log(`   Anemic      ${String(confusion.tp).padStart(8)} ${String(confusion.fn).padStart(12)}`);
+    console.log(`   Non-anemic  ${String(confusion.fp).padStart(8)} ${String(confusion.tn).padStart(12)}`);
+    console.log('');
+    console.log(`   Sensitivity: ${formatPercent(summary.sensitivity)}`);
+    console.log(`   Specificity: ${formatPercent(summary.specificity)}`);
+    console.log(`   Accuracy:    ${formatPercent(accuracy)}`);
+    console.log(`   AUC:         ${auc === null ? 'n/a' : auc.toFixed(3)}`);
+    console.log(`   Scored ${summary.scored}, rejected by quality gate ${summary.rejected}, errors ${summary.errors}`);
+    console.log('');
+    console.log(`📝 Per-image report written to ${outPath}`);
+}
+
+main().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
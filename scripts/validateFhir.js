@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// scripts/validateFhir.js - Check FHIR exports against the official R4 JSON schema
+//
+// Without a bundle, builds one with models/fhir.js from sample records covering a
+// completed, an inconclusive and a pending screening, symptom answers and a doctor
+// assessment, and validates that. With --bundle, validates a saved export of
+// GET /api/fhir/bundle instead.
+//
+// Usage:
+//   npm run validate:fhir -- [options]
+//
+// Options:
+//   --bundle <file>   exported Bundle JSON to validate (default: the built-in sample)
+//   --schema <file>   fhir.schema.json to validate against (default: HL7's R4 schema
+//                     as shipped in @asymmetrik/fhir-json-schema-validator)
+//   --print           print the sample bundle before validating it
+const fs = require('fs');
+const Ajv = require('ajv');
+const draft6MetaSchema = require('ajv/dist/refs/json-schema-draft-06.json');
+const fhir = require('../models/fhir');
+
+const DEFAULT_SCHEMA = require.resolve('@asymmetrik/fhir-json-schema-validator/fhir.schema.json');
+
+const usage = () => {
+    console.log('Usage: npm run validate:fhir -- [--bundle export.json] [--schema fhir.schema.json] [--print]');
+};
+
+const parseArgs = (argv) => {
+    const options = { schema: DEFAULT_SCHEMA, print: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--bundle': options.bundle = argv[++i]; break;
+            case '--schema': options.schema = argv[++i]; break;
+            case '--print': options.print = true; break;
+            case '--help':
+            case '-h':
+                usage();
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+};
+
+// One patient with each kind of screening the server stores, shaped like the lean
+// records the bundle route loads
+const sampleBundle = () => {
+    const day = (n) => new Date(Date.UTC(2025, 2, n, 9, 30));
+    const model = { modelName: 'eyelid-anemia', modelVersion: '1.0.0' };
+    const completed = {
+        _id: '65f000000000000000000001',
+        username: 'jane',
+        status: 'completed',
+        prediction: 'Anemic',
+        confidence: 0.82,
+        probabilities: { anemic: 0.82, nonAnemic: 0.18 },
+        calibration: { profileId: 'p1', version: 2, method: 'platt', threshold: 0.4 },
+        uncertainty: { method: 'tta', views: 8, std: 0.12, min: 0.55, max: 0.95, high: true },
+        reviewRequired: true,
+        symptoms: { fever: 'yes', chills: 'no', travel: 'yes' },
+        timestamp: day(1),
+        ...model
+    };
+    const inconclusive = {
+        _id: '65f000000000000000000002',
+        username: 'jane',
+        status: 'inconclusive',
+        prediction: 'Inconclusive',
+        confidence: null,
+        statusReason: 'NO_CONJUNCTIVA',
+        statusMessage: 'The inner eyelid could not be found in the photo.',
+        timestamp: day(2),
+        ...model
+    };
+    const pending = {
+        _id: '65f000000000000000000003',
+        username: 'jane',
+        status: 'pending',
+        prediction: 'Pending',
+        confidence: null,
+        statusReason: 'MODEL_UNAVAILABLE',
+        timestamp: day(3),
+        ...model
+    };
+    const assessment = {
+        _id: '65f000000000000000000004',
+        doctorId: '1',
+        from: 'jane',
+        resultId: completed._id,
+        prediction: 'Anemic',
+        confidence: 0.82,
+        symptoms: { fever: 'yes', headache: 'yes', fatigue: 'no' },
+        riskLevel: 'High',
+        status: 'completed',
+        conclusion: 'Iron deficiency likely; full blood count and malaria RDT requested.',
+        reviewed_by: 'dr_smith',
+        reviewed_at: day(4),
+        timestamp: day(1)
+    };
+
+    return fhir.buildBundle({
+        baseUrl: 'https://screening.example.org/api/fhir',
+        patients: [{
+            username: 'jane',
+            user: { _id: '65e000000000000000000001', full_name: 'Jane Doe', is_active: true },
+            profile: { sex: 'female', dateOfBirth: new Date(Date.UTC(1995, 5, 1)), region: 'Kisumu' }
+        }],
+        results: [completed, inconclusive, pending],
+        assessments: [assessment],
+        doctorNames: { 1: 'Dr. Sarah Smith' }
+    });
+};
+
+// The HL7 schema is draft-06 but names itself with the older `id`, and uses keywords
+// Ajv's strict mode rejects. Returns a validator for a resource type's definition.
+const loadSchema = (schemaPath) => {
+    const { id, ...schema } = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    const ajv = new Ajv({ strict: false });
+    ajv.addMetaSchema(draft6MetaSchema);
+    ajv.addSchema({ $id: id, ...schema });
+    return (resourceType) => (schema.definitions[resourceType] ? ajv.getSchema(`${id}#/definitions/${resourceType}`) : null);
+};
+
+// Each resource is checked against its own definition, so an error names the entry it
+// is in instead of every resource type the Bundle's entry could have been. The Bundle
+// itself is checked once its resources pass.
+const validateBundle = (validatorFor, bundle) => {
+    const failures = [];
+    const check = (label, value) => {
+        const validate = validatorFor(value?.resourceType);
+        if (!validate) {
+            failures.push({ label, errors: [{ instancePath: '/resourceType', message: `unknown resource type ${value?.resourceType}` }] });
+        } else if (!validate(value)) {
+            failures.push({ label, errors: validate.errors });
+        }
+    };
+
+    (bundle.entry || []).forEach((entry, index) => {
+        check(`entry[${index}] ${entry.resource?.resourceType}/${entry.resource?.id}`, entry.resource);
+    });
+    if (failures.length === 0) {
+        check('Bundle', bundle);
+    }
+    return failures;
+};
+
+const main = () => {
+    const options = parseArgs(process.argv.slice(2));
+    const bundle = options.bundle ? JSON.parse(fs.readFileSync(options.bundle, 'utf8')) : sampleBundle();
+    if (options.print) {
+        console.log(JSON.stringify(bundle, null, 2));
+    }
+
+    if (!options.bundle) {
+        const statuses = bundle.entry
+            .filter(entry => entry.resource.resourceType === 'Observation')
+            .map(entry => entry.resource.status);
+        console.log(`🧪 Sample bundle: ${bundle.entry.length} resources, Observation statuses ${statuses.join(', ')}`);
+    }
+
+    console.log(`📐 Schema: ${options.schema}`);
+    const failures = validateBundle(loadSchema(options.schema), bundle);
+    if (failures.length > 0) {
+        for (const failure of failures) {
+            console.error(`❌ ${failure.label}`);
+            for (const error of failure.errors) {
+                console.error(`   ${error.instancePath || '/'} ${error.message}`);
+            }
+        }
+        process.exit(1);
+    }
+
+    console.log(`✅ Bundle and ${bundle.entry?.length || 0} resources are valid FHIR R4`);
+};
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ FHIR validation failed to run:', error.message);
+    process.exit(1);
+}
@@ -9,18 +9,109 @@ const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 
 // Import the ModelManager
 const ModelManager = require('./models/ModelManager');
+const calibration = require('./models/calibration');
+const { perceptualHash, hammingDistance } = require('./models/imageHash');
+const drift = require('./models/drift');
+const fhir = require('./models/fhir');
+const tableExport = require('./models/tableExport');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Settings given as a JSON object in an environment variable (e.g. QUALITY_THRESHOLDS).
+// A typo stops startup with an error that names the variable.
+const jsonFromEnv = (name) => {
+  const value = process.env[name];
+  if (!value) return undefined;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON (${error.message}): ${value}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${name} must be a JSON object, e.g. {"key": 1}; got ${value}`);
+  }
+  return parsed;
+};
+
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/medical_screening_app';
 
-// Initialize ModelManager
-const modelManager = new ModelManager();
+// Where uploads live while they are screened: 'disk' (uploads/, deleted after
+// inference) or 'memory' (kept as Buffers, nothing written to disk). Memory is the
+// default on Vercel, whose filesystem is read-only.
+const UPLOAD_STORAGE = process.env.UPLOAD_STORAGE || (process.env.VERCEL ? 'memory' : 'disk');
+if (!['disk', 'memory'].includes(UPLOAD_STORAGE)) {
+  throw new Error(`UPLOAD_STORAGE must be "disk" or "memory", got "${UPLOAD_STORAGE}"`);
+}
+
+// Photos received while the model is down wait here until it loads (disk uploads only;
+// memory uploads are queued with their bytes in MongoDB)
+const PENDING_UPLOAD_DIR = process.env.PENDING_UPLOAD_DIR || path.join(__dirname, 'uploads', 'pending');
+const PENDING_MAX_ATTEMPTS = 3;
+// A photo whose analysis failed is tried again after this long (up to PENDING_MAX_ATTEMPTS)
+const PENDING_RETRY_DELAY_SECONDS = 60;
+const PENDING_MESSAGE = 'The screening model is temporarily unavailable. Your photo has been saved and will be analysed automatically - we will notify you when your result is ready.';
+
+// A photo whose perceptual hash is within DUPLICATE_MAX_DISTANCE bits (of 64) of one the
+// same user submitted in the last DUPLICATE_WINDOW_HOURS is a resubmission.
+// DUPLICATE_WINDOW_HOURS=0 switches the check off.
+const DUPLICATE_WINDOW_HOURS = process.env.DUPLICATE_WINDOW_HOURS !== undefined ? parseFloat(process.env.DUPLICATE_WINDOW_HOURS) : 24;
+const DUPLICATE_MAX_DISTANCE = process.env.DUPLICATE_MAX_DISTANCE !== undefined ? parseInt(process.env.DUPLICATE_MAX_DISTANCE) : 6;
+const DUPLICATE_MESSAGE = 'This photo matches one you submitted recently, so its earlier result is shown. Take a new photo for a new screening.';
+
+// Drift monitoring: uploads of the last DRIFT_RECENT_DAYS are compared with the
+// DRIFT_BASELINE_DAYS before them, or with a baseline period pinned by an admin
+const DRIFT_RECENT_DAYS = parseInt(process.env.DRIFT_RECENT_DAYS) || 7;
+const DRIFT_BASELINE_DAYS = parseInt(process.env.DRIFT_BASELINE_DAYS) || 28;
+const DRIFT_THRESHOLDS = jsonFromEnv('DRIFT_THRESHOLDS');
+const DRIFT_CHECK_INTERVAL_MINUTES = process.env.DRIFT_CHECK_INTERVAL_MINUTES !== undefined ? parseInt(process.env.DRIFT_CHECK_INTERVAL_MINUTES) : 60;
+
+// Image archive: photos are kept only for patients who opted in, for IMAGE_RETENTION_DAYS,
+// or IMAGE_RESEARCH_RETENTION_DAYS when they also agreed to their use for improving the
+// model. Bump IMAGE_CONSENT_VERSION whenever the consent wording changes - earlier
+// consents then stop applying until the patient confirms again.
+const IMAGE_RETENTION_DAYS = parseInt(process.env.IMAGE_RETENTION_DAYS) || 90;
+const IMAGE_RESEARCH_RETENTION_DAYS = parseInt(process.env.IMAGE_RESEARCH_RETENTION_DAYS) || 730;
+const IMAGE_PURGE_INTERVAL_MINUTES = process.env.IMAGE_PURGE_INTERVAL_MINUTES !== undefined ? parseInt(process.env.IMAGE_PURGE_INTERVAL_MINUTES) : 60;
+const IMAGE_CONSENT_VERSION = 1;
+
+// FHIR export: references and local code systems live under FHIR_BASE_URL (default: this
+// server's /api/fhir). A bundle holds at most FHIR_MAX_RESULTS screening results.
+const FHIR_BASE_URL = process.env.FHIR_BASE_URL ? process.env.FHIR_BASE_URL.replace(/\/$/, '') : null;
+const FHIR_MAX_RESULTS = parseInt(process.env.FHIR_MAX_RESULTS) || 5000;
+
+// Initialize ModelManager - model locations can be overridden for offline deployments
+const modelManager = new ModelManager({
+  cacheDir: process.env.MODEL_CACHE_DIR || undefined,
+  localModelDir: process.env.MODEL_LOCAL_DIR || undefined,
+  // Cache model downloads that have no pinned SHA-256 (not recommended)
+  allowUnpinned: process.env.ALLOW_UNPINNED_MODEL === 'true',
+  inferenceWorkers: process.env.INFERENCE_WORKERS !== undefined ? parseInt(process.env.INFERENCE_WORKERS) : undefined,
+  maxQueueSize: process.env.INFERENCE_MAX_QUEUE !== undefined ? parseInt(process.env.INFERENCE_MAX_QUEUE) : undefined,
+  taskTimeoutMs: process.env.INFERENCE_TASK_TIMEOUT_MS !== undefined ? parseInt(process.env.INFERENCE_TASK_TIMEOUT_MS) : undefined,
+  qualityGate: process.env.QUALITY_GATE !== 'false',
+  qualityThresholds: jsonFromEnv('QUALITY_THRESHOLDS'),
+  roiMethod: process.env.ROI_METHOD || undefined,
+  // Occlusion heatmaps cost ~50 forward passes per photo on the shared pool - opt-in
+  heatmaps: process.env.HEATMAPS === 'true',
+  // Test-time augmentation: average several views of each photo and flag unstable results
+  tta: process.env.TTA === 'true',
+  uncertaintyThresholds: jsonFromEnv('UNCERTAINTY_THRESHOLDS'),
+  // Candidate model compared against the live one on every /predict call
+  shadowModel: process.env.SHADOW_MODEL_VERSION ? {
+    name: process.env.SHADOW_MODEL_NAME || undefined,
+    version: process.env.SHADOW_MODEL_VERSION,
+    source: process.env.SHADOW_MODEL_SOURCE || undefined,
+    sha256: process.env.SHADOW_MODEL_SHA256 || null
+  } : undefined
+});
 
 // Doctor profiles (in production, this should be in database)
 const doctorProfiles = {
@@ -50,12 +141,53 @@ const doctorProfiles = {
 // MongoDB Schemas
 const patientResultSchema = new mongoose.Schema({
   username: { type: String, required: true, index: true },
+  // 'Anemic' | 'Non-anemic', 'Inconclusive' when no prediction could be made, 'Pending' while queued
   prediction: { type: String, required: true },
-  confidence: { type: Number, required: true },
+  // completed | inconclusive | pending - only completed results count towards statistics.
+  // pending: the photo arrived during a model outage and is queued in PendingInference
+  status: { type: String, enum: ['completed', 'inconclusive', 'pending'], default: 'completed', index: true },
+  statusReason: { type: String, default: null }, // MODEL_NOT_LOADED | PREPROCESSING_FAILED | INFERENCE_FAILED
+  statusMessage: { type: String, default: null },
+  // Probability of the predicted class (see probabilities for both classes); null unless completed
+  confidence: { type: Number, required: function() { return this.status === 'completed'; }, default: null },
+  probabilities: { type: Object, default: null }, // { anemic, nonAnemic }
+  // 'class_probability' once confidence means P(predicted class); older records stored raw P(Non-anemic)
+  confidenceSemantics: { type: String, default: null },
+  modelName: { type: String, default: null },
+  modelVersion: { type: String, default: null },
+  // Set when the result is one image of a multi-image screening session
+  screeningSessionId: { type: String, default: null, index: true },
+  patientLabel: { type: String, default: null },
+  imageIndex: { type: Number, default: null },
+  // Sharpness / exposure / colour-cast scores from the quality gate
+  quality: { type: Object, default: null },
+  // Region of the photo that was fed to the model (original image pixels)
+  cropBox: { type: Object, default: null },
+  // Calibration profile + decision threshold in force when this result was produced
+  calibration: { type: Object, default: null }, // { profileId, version, method, threshold }
+  // Spread of the prediction over test-time augmented views (TTA only)
+  uncertainty: { type: Object, default: null }, // { method, views, std, min, max, disagreement, high, reasons, perView }
+  // Set automatically when the prediction is too uncertain to stand without a doctor
+  reviewRequired: { type: Boolean, default: false, index: true },
+  // Occlusion heatmap stored in ResultHeatmap, served by /api/results/:id/heatmap
+  hasHeatmap: { type: Boolean, default: false },
   symptoms: { type: Object, default: null },
   timestamp: { type: Date, default: Date.now },
   date: { type: String },
-  time: { type: String }
+  time: { type: String },
+  // Set when a pending result was analysed after the model came back
+  analysedAt: { type: Date, default: null },
+  // Perceptual hash of the photo, for spotting resubmissions
+  imageHash: { type: String, default: null },
+  // Batch photos that repeat an earlier submission are stored but point at it and are not counted
+  resubmissionOf: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', default: null },
+  // Single-image resubmissions are answered with this result instead of a new one
+  resubmissions: { type: Number, default: 0 },
+  lastResubmittedAt: { type: Date, default: null },
+  // Photo kept in ArchivedImage with the patient's consent, served by /api/results/:id/image
+  hasArchivedImage: { type: Boolean, default: false },
+  // The patient's profile when the photo was screened (see profileSnapshot)
+  patientProfile: { type: Object, default: null }
 });
 
 const userSchema = new mongoose.Schema({
@@ -65,10 +197,29 @@ const userSchema = new mongoose.Schema({
   full_name: { type: String },
   role: { type: String, required: true, enum: ['user', 'doctor', 'admin'] },
   doctorId: { type: String }, // For doctor users
+  // Image archive consent: { archive, research, version, updated_at }; history in ConsentEvent
+  imageConsent: { type: Object, default: null },
   created_at: { type: Date, default: Date.now },
   is_active: { type: Boolean, default: true }
 });
 
+// Demographic and clinical context of a patient, edited from the dashboard. Results and
+// assessments keep a snapshot (profileSnapshot), so later edits never rewrite history.
+const patientProfileSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  dateOfBirth: { type: Date, default: null },
+  sex: { type: String, enum: ['female', 'male', 'other', null], default: null },
+  // Only kept for female patients
+  pregnancyStatus: { type: String, enum: ['not_pregnant', 'pregnant', 'postpartum', 'unknown', null], default: null },
+  region: { type: String, default: null },
+  // Travel in the last few weeks; malaria is what makes it matter
+  recentTravel: { type: Boolean, default: false },
+  travelDestination: { type: String, default: null },
+  travelReturnDate: { type: Date, default: null },
+  travelMalariaArea: { type: Boolean, default: false },
+  updated_at: { type: Date, default: Date.now }
+});
+
 const adminLogSchema = new mongoose.Schema({
   admin_username: { type: String, required: true },
   action: { type: String, required: true },
@@ -82,9 +233,161 @@ const doctorAssessmentSchema = new mongoose.Schema({
   from: { type: String, required: true },
   prediction: { type: String },
   confidence: { type: Number },
+  confidenceSemantics: { type: String, default: null },
+  // Screening result the assessment was sent from (gives the doctor its heatmap)
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', default: null },
+  // The sender's profile when the assessment was sent (see profileSnapshot)
+  patientProfile: { type: Object, default: null },
   symptoms: { type: Object },
   riskLevel: { type: String, enum: ['Low', 'Medium', 'High'], default: 'Medium' },
   status: { type: String, enum: ['pending', 'reviewed', 'completed'], default: 'pending' },
+  // The doctor's conclusion, recorded from the doctor view (exported as a FHIR DiagnosticReport)
+  conclusion: { type: String, default: null },
+  reviewed_by: { type: String, default: null },
+  reviewed_at: { type: Date, default: null },
+  timestamp: { type: Date, default: Date.now }
+});
+
+// Explainability heatmap (PNG overlay) for one prediction, kept apart so result
+// queries stay small
+const resultHeatmapSchema = new mongoose.Schema({
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', required: true, unique: true },
+  username: { type: String, required: true },
+  method: { type: String, default: 'occlusion' },
+  gridSize: { type: Number },
+  grid: { type: [Number], default: [] }, // row-major importance per patch, 0-1
+  image: { type: Buffer, required: true },
+  contentType: { type: String, default: 'image/png' },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Live vs shadow model output for one prediction (see ModelManager.runShadow)
+const shadowComparisonSchema = new mongoose.Schema({
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', default: null },
+  username: { type: String },
+  // latencyMs is the plain forward pass, without heatmap or TTA views
+  primary: { type: Object, required: true }, // { modelName, modelVersion, prediction, anemicProbability, latencyMs }
+  shadow: { type: Object, required: true },  // same fields, plus error when the shadow run failed
+  // Both sides averaged over TTA views (the live result's setting)
+  tta: { type: Boolean, default: false },
+  agree: { type: Boolean, default: null },
+  probabilityDelta: { type: Number, default: null }, // shadow - live P(Anemic)
+  latencyDeltaMs: { type: Number, default: null },   // shadow - live
+  timestamp: { type: Date, default: Date.now }
+});
+
+// Photos that arrived while their model was not loaded. The image is kept in
+// PENDING_UPLOAD_DIR (disk uploads) or in the document itself (memory uploads)
+// and re-run as soon as the model loads.
+const pendingInferenceSchema = new mongoose.Schema({
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', required: true, unique: true },
+  username: { type: String, required: true },
+  imagePath: { type: String, default: null },
+  image: { type: Buffer, default: null }, // sanitised photo, at most 10MB
+  modelName: { type: String, default: null },
+  modelVersion: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+// In-app notifications shown on the patient dashboard
+const notificationSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  type: { type: String, required: true }, // RESULT_READY | RESULT_INCONCLUSIVE
+  message: { type: String, required: true },
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', default: null },
+  read: { type: Boolean, default: false },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Calibration profiles: fitted on an admin-uploaded labelled validation set.
+// Probabilities and thresholds are P(Anemic); one active profile per model version.
+const calibrationProfileSchema = new mongoose.Schema({
+  modelName: { type: String, required: true },
+  modelVersion: { type: String, required: true },
+  version: { type: Number, required: true },
+  method: { type: String, enum: ['none', 'platt', 'temperature'], required: true },
+  params: { type: Object, default: {} },
+  threshold: { type: Number, default: 0.5 },
+  targetSensitivity: { type: Number, default: null },
+  recommendedThreshold: { type: Number, default: null },
+  status: { type: String, enum: ['draft', 'active', 'retired'], default: 'draft' },
+  validation: { type: Object, default: null }, // { images, anemic, nonAnemic, rejected }
+  metrics: { type: Object, default: null }, // log loss / Brier score before and after calibration
+  curve: { type: Array, default: [] }, // sensitivity / specificity per threshold
+  created_by: { type: String },
+  created_at: { type: Date, default: Date.now },
+  activated_by: { type: String, default: null },
+  activated_at: { type: Date, default: null }
+});
+
+// Input statistics of every analysed upload, for drift monitoring (see models/drift.js)
+const inputStatSchema = new mongoose.Schema({
+  username: { type: String, default: null },
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', default: null },
+  modelName: { type: String, default: null },
+  modelVersion: { type: String, default: null },
+  qualityRejected: { type: Boolean, default: false },
+  width: { type: Number },
+  height: { type: Number },
+  megapixels: { type: Number },
+  bytes: { type: Number },
+  format: { type: String },
+  brightness: { type: Number }, // mean luma, 0-255
+  channelMeans: { type: [Number], default: [] }, // R, G, B
+  histogram: { type: [Number], default: [] }, // shares per bin, R then G then B
+  timestamp: { type: Date, default: Date.now }
+});
+
+// Raised when a metric drifts away from the baseline; one open alert per metric. An
+// acknowledged alert holds back new ones for its metric until it is cleared.
+const driftAlertSchema = new mongoose.Schema({
+  metric: { type: String, required: true },
+  status: { type: String, enum: ['open', 'acknowledged'], default: 'open' },
+  score: { type: Number },
+  limit: { type: Number },
+  baseline: { type: mongoose.Schema.Types.Mixed }, // metric value in each window
+  recent: { type: mongoose.Schema.Types.Mixed },
+  baselineWindow: { type: Object }, // { from, to }
+  recentWindow: { type: Object },
+  acknowledged_by: { type: String, default: null },
+  acknowledged_at: { type: Date, default: null },
+  // Set once the metric is back under its limit or a new baseline is pinned
+  cleared_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Baseline period pinned by an admin; without one the baseline rolls with time
+const driftBaselineSchema = new mongoose.Schema({
+  from: { type: Date, required: true },
+  to: { type: Date, required: true },
+  created_by: { type: String },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Eyelid photo kept with its owner's consent. Deleted once expiresAt passes
+// (see purgeExpiredImages) or as soon as the consent is withdrawn.
+const archivedImageSchema = new mongoose.Schema({
+  resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'PatientResult', required: true, unique: true },
+  username: { type: String, required: true },
+  image: { type: Buffer, required: true }, // sanitised upload: upright, metadata stripped
+  contentType: { type: String, default: 'image/jpeg' },
+  size: { type: Number },
+  // Consent in force when the photo was taken; research photos may be used to improve the model
+  research: { type: Boolean, default: false },
+  consentVersion: { type: Number, required: true },
+  expiresAt: { type: Date, required: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Every change a user makes to their image archive consent
+const consentEventSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  archive: { type: Boolean, required: true },
+  research: { type: Boolean, required: true },
+  version: { type: Number, required: true },
+  deletedImages: { type: Number, default: 0 },
   timestamp: { type: Date, default: Date.now }
 });
 
@@ -93,12 +396,32 @@ patientResultSchema.index({ username: 1, timestamp: -1 });
 adminLogSchema.index({ timestamp: -1 });
 doctorAssessmentSchema.index({ doctorId: 1, timestamp: -1 });
 userSchema.index({ username: 1, role: 1 });
+calibrationProfileSchema.index({ modelName: 1, modelVersion: 1, version: -1 });
+shadowComparisonSchema.index({ 'shadow.modelName': 1, 'shadow.modelVersion': 1, timestamp: -1 });
+pendingInferenceSchema.index({ created_at: 1 });
+notificationSchema.index({ username: 1, read: 1, created_at: -1 });
+inputStatSchema.index({ timestamp: -1 });
+driftAlertSchema.index({ metric: 1, status: 1 });
+archivedImageSchema.index({ expiresAt: 1 });
+archivedImageSchema.index({ username: 1, research: 1 });
+consentEventSchema.index({ username: 1, timestamp: -1 });
 
 // MongoDB Models
 const PatientResult = mongoose.model('PatientResult', patientResultSchema);
 const User = mongoose.model('User', userSchema);
 const AdminLog = mongoose.model('AdminLog', adminLogSchema);
+const PatientProfile = mongoose.model('PatientProfile', patientProfileSchema);
 const DoctorAssessment = mongoose.model('DoctorAssessment', doctorAssessmentSchema);
+const CalibrationProfile = mongoose.model('CalibrationProfile', calibrationProfileSchema);
+const ResultHeatmap = mongoose.model('ResultHeatmap', resultHeatmapSchema);
+const ShadowComparison = mongoose.model('ShadowComparison', shadowComparisonSchema);
+const PendingInference = mongoose.model('PendingInference', pendingInferenceSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const InputStat = mongoose.model('InputStat', inputStatSchema);
+const DriftAlert = mongoose.model('DriftAlert', driftAlertSchema);
+const DriftBaseline = mongoose.model('DriftBaseline', driftBaselineSchema);
+const ArchivedImage = mongoose.model('ArchivedImage', archivedImageSchema);
+const ConsentEvent = mongoose.model('ConsentEvent', consentEventSchema);
 
 // Admin logging function
 const logAdminAction = async (adminUsername, action, targetUser = null, details = null) => {
@@ -211,7 +534,9 @@ const createDefaultDoctors = async () => {
 
 // Create required directories
 const createDirectories = async () => {
-  const dirs = ['uploads', 'public', 'patient_data', 'models'];
+  const dirs = UPLOAD_STORAGE === 'disk'
+    ? ['uploads', 'public', 'patient_data', 'models']
+    : ['public', 'patient_data', 'models'];
   for (const dir of dirs) {
     const dirPath = path.join(process.cwd(), dir);
     try {
@@ -239,6 +564,299 @@ const connectWithRetry = async () => {
     setTimeout(connectWithRetry, 5000);
   }
 };
+// PatientResult fields that come from the model output. Shared by the first save
+// and by the re-inference of screenings that were queued during an outage.
+const resultFields = (result) => {
+  const status = ['inconclusive', 'pending'].includes(result.status) ? result.status : 'completed';
+  const conclusive = status === 'completed';
+  const prediction = status === 'pending' ? 'Pending' : status === 'inconclusive' ? 'Inconclusive' : result.prediction;
+
+  if (conclusive && prediction !== 'Anemic' && prediction !== 'Non-anemic') {
+    throw new Error(`Invalid prediction value: ${prediction}`);
+  }
+  // A completed result is stored with the model's own confidence or not at all
+  if (conclusive && !Number.isFinite(result.confidence)) {
+    throw new Error(`Completed prediction has no confidence: ${result.confidence}`);
+  }
+
+  return {
+    prediction,
+    status,
+    statusReason: conclusive ? null : result.reason || null,
+    statusMessage: conclusive ? null : result.message || null,
+    confidence: conclusive ? result.confidence : null,
+    probabilities: result.probabilities || null,
+    confidenceSemantics: 'class_probability',
+    modelName: result.modelName || null,
+    modelVersion: result.modelVersion || null,
+    quality: result.quality || null,
+    cropBox: result.cropBox || null,
+    calibration: result.calibration || null,
+    uncertainty: conclusive ? result.uncertainty || null : null,
+    reviewRequired: conclusive && Boolean(result.uncertainty?.high)
+  };
+};
+
+// The result stands on its own; a heatmap that fails to save is only logged
+const saveResultHeatmap = async (resultId, username, heatmap) => {
+  if (!heatmap?.png) return false;
+  try {
+    await ResultHeatmap.create({
+      resultId,
+      username,
+      method: heatmap.method,
+      gridSize: heatmap.gridSize,
+      grid: heatmap.grid,
+      image: heatmap.png
+    });
+    return true;
+  } catch (heatmapError) {
+    console.error('❌ Error saving heatmap:', heatmapError);
+    return false;
+  }
+};
+
+// Travel to a malaria area counts as recent for this many days after returning
+const RECENT_TRAVEL_DAYS = 30;
+
+const PROFILE_RISK_FACTORS = {
+  young_child: 'Child under 5',
+  older_adult: 'Aged 65 or over',
+  pregnancy: 'Pregnant',
+  postpartum: 'Recently gave birth',
+  malaria_travel: `Travel to a malaria area in the last ${RECENT_TRAVEL_DAYS} days`
+};
+
+// Age in whole years on a given date
+const ageOn = (dateOfBirth, date) => {
+  const age = date.getFullYear() - dateOfBirth.getFullYear();
+  const birthdayPassed = date.getMonth() > dateOfBirth.getMonth() ||
+    (date.getMonth() === dateOfBirth.getMonth() && date.getDate() >= dateOfBirth.getDate());
+  return birthdayPassed ? age : age - 1;
+};
+
+// What a result or assessment keeps of the patient's profile: the age at that moment
+// rather than the date of birth, and the risk factors the profile implies
+const profileSnapshot = (profile, at = new Date()) => {
+  if (!profile) return null;
+
+  const age = profile.dateOfBirth ? ageOn(new Date(profile.dateOfBirth), at) : null;
+  const malariaTravel = Boolean(profile.recentTravel && profile.travelMalariaArea) &&
+    (!profile.travelReturnDate || at - new Date(profile.travelReturnDate) <= RECENT_TRAVEL_DAYS * 24 * 60 * 60 * 1000);
+
+  const riskFactors = [];
+  if (age !== null && age < 5) riskFactors.push('young_child');
+  if (age !== null && age >= 65) riskFactors.push('older_adult');
+  if (profile.pregnancyStatus === 'pregnant') riskFactors.push('pregnancy');
+  if (profile.pregnancyStatus === 'postpartum') riskFactors.push('postpartum');
+  if (malariaTravel) riskFactors.push('malaria_travel');
+
+  return {
+    age,
+    sex: profile.sex || null,
+    pregnancyStatus: profile.pregnancyStatus || null,
+    region: profile.region || null,
+    recentTravel: Boolean(profile.recentTravel),
+    travelDestination: profile.travelDestination || null,
+    travelReturnDate: profile.travelReturnDate || null,
+    travelMalariaArea: Boolean(profile.travelMalariaArea),
+    riskFactors,
+    profileUpdatedAt: profile.updated_at || null
+  };
+};
+
+const PREGNANCY_LABELS = { not_pregnant: 'not pregnant', pregnant: 'pregnant', postpartum: 'postpartum', unknown: 'pregnancy status unknown' };
+
+// Profile text is typed by the patient, so it is escaped before it goes into a page
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// One line for the doctor view, e.g. "29 years, female, pregnant · Kisumu · travelled to Lamu"
+const describeProfile = (snapshot) => {
+  const person = [
+    snapshot.age !== null ? `${snapshot.age} years` : null,
+    snapshot.sex,
+    PREGNANCY_LABELS[snapshot.pregnancyStatus]
+  ].filter(Boolean).join(', ');
+  const travel = snapshot.recentTravel
+    ? `travelled${snapshot.travelDestination ? ` to ${snapshot.travelDestination}` : ''}${snapshot.travelReturnDate ? `, back ${new Date(snapshot.travelReturnDate).toLocaleDateString()}` : ''}`
+    : null;
+  return escapeHtml([person || 'No details given', snapshot.region, travel].filter(Boolean).join(' · '));
+};
+
+// A profile that cannot be read is left out - it never blocks a screening
+const getProfileSnapshot = async (username) => {
+  try {
+    return profileSnapshot(await PatientProfile.findOne({ username }).lean());
+  } catch (error) {
+    console.error('❌ Error reading patient profile:', error);
+    return null;
+  }
+};
+
+// Validate a profile update from the dashboard form. Empty fields clear the value.
+const parseProfileUpdate = (body) => {
+  const errors = [];
+  const text = (value, field) => {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (trimmed.length > 100) errors.push(`${field} must be at most 100 characters`);
+    return trimmed || null;
+  };
+  const date = (value, field) => {
+    if (!value) return null;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+      errors.push(`${field} must be a date`);
+      return null;
+    }
+    return parsed;
+  };
+  const flag = (value) => value === true || value === 'true' || value === 'on';
+
+  const dateOfBirth = date(body.dateOfBirth, 'dateOfBirth');
+  if (dateOfBirth && (dateOfBirth > new Date() || ageOn(dateOfBirth, new Date()) > 120)) {
+    errors.push('dateOfBirth must be in the past and within 120 years');
+  }
+
+  const sex = body.sex || null;
+  if (sex && !['female', 'male', 'other'].includes(sex)) {
+    errors.push('sex must be female, male or other');
+  }
+
+  const pregnancyStatus = sex === 'female' ? body.pregnancyStatus || null : null;
+  if (pregnancyStatus && !['not_pregnant', 'pregnant', 'postpartum', 'unknown'].includes(pregnancyStatus)) {
+    errors.push('pregnancyStatus must be not_pregnant, pregnant, postpartum or unknown');
+  }
+
+  const recentTravel = flag(body.recentTravel);
+  const profile = {
+    dateOfBirth,
+    sex,
+    pregnancyStatus,
+    region: text(body.region, 'region'),
+    recentTravel,
+    travelDestination: recentTravel ? text(body.travelDestination, 'travelDestination') : null,
+    travelReturnDate: recentTravel ? date(body.travelReturnDate, 'travelReturnDate') : null,
+    travelMalariaArea: recentTravel && flag(body.travelMalariaArea),
+    updated_at: new Date()
+  };
+  return { profile, errors };
+};
+
+// Validate symptom checker answers: only its own questions, each answered 'yes' or 'no'.
+// Multipart uploads send them as a JSON string. Nothing sent gives null.
+const parseSymptoms = (value) => {
+  if (value === undefined || value === null || value === '') return { symptoms: null, errors: [] };
+
+  let symptoms = value;
+  if (typeof value === 'string') {
+    try {
+      symptoms = JSON.parse(value);
+    } catch (parseError) {
+      return { symptoms: null, errors: ['symptoms must be a JSON object'] };
+    }
+  }
+  if (!symptoms || typeof symptoms !== 'object' || Array.isArray(symptoms)) {
+    return { symptoms: null, errors: ['symptoms must be an object'] };
+  }
+
+  const errors = [];
+  for (const [key, answer] of Object.entries(symptoms)) {
+    if (!Object.hasOwn(fhir.SYMPTOM_QUESTIONS, key)) {
+      errors.push(`Unknown symptom: ${key}`);
+    } else if (answer !== 'yes' && answer !== 'no') {
+      errors.push(`${key} must be yes or no`);
+    }
+  }
+  return { symptoms: errors.length > 0 ? null : { ...symptoms }, errors };
+};
+
+// Consent only counts when it was given for the current wording
+const hasImageConsent = (consent) => Boolean(consent?.archive) && consent.version === IMAGE_CONSENT_VERSION;
+
+const imageExpiry = (from, research) =>
+  new Date(from.getTime() + (research ? IMAGE_RESEARCH_RETENTION_DAYS : IMAGE_RETENTION_DAYS) * 24 * 60 * 60 * 1000);
+
+// Keep the photo of a saved result when its owner has opted in. Like the heatmap,
+// a photo that fails to archive is only logged - the result stands on its own.
+const archiveResultImage = async (savedResult, image, contentType) => {
+  try {
+    const user = await User.findOne({ username: savedResult.username }, 'imageConsent').lean();
+    if (!hasImageConsent(user?.imageConsent)) return false;
+
+    const research = Boolean(user.imageConsent.research);
+    const bytes = Buffer.isBuffer(image) ? image : await fs.readFile(image);
+    await ArchivedImage.create({
+      resultId: savedResult._id,
+      username: savedResult.username,
+      image: bytes,
+      contentType,
+      size: bytes.length,
+      research,
+      consentVersion: user.imageConsent.version,
+      expiresAt: imageExpiry(new Date(), research)
+    });
+    await PatientResult.updateOne({ _id: savedResult._id }, { $set: { hasArchivedImage: true } });
+    savedResult.hasArchivedImage = true;
+    return true;
+  } catch (archiveError) {
+    console.error('❌ Error archiving photo:', archiveError);
+    return false;
+  }
+};
+
+// Delete heatmaps and clear the flag on their results; returns how many went
+const deleteResultHeatmaps = async (filter) => {
+  const heatmaps = await ResultHeatmap.find(filter, '_id resultId').lean();
+  if (heatmaps.length === 0) return 0;
+
+  await ResultHeatmap.deleteMany({ _id: { $in: heatmaps.map(heatmap => heatmap._id) } });
+  await PatientResult.updateMany(
+    { _id: { $in: heatmaps.map(heatmap => heatmap.resultId) } },
+    { $set: { hasHeatmap: false } }
+  );
+  return heatmaps.length;
+};
+
+// Delete archived photos and clear the flag on their results; returns how many went.
+// A heatmap is drawn over the photo, so it goes with it.
+const deleteArchivedImages = async (filter) => {
+  const images = await ArchivedImage.find(filter, '_id resultId').lean();
+  if (images.length === 0) return 0;
+
+  const resultIds = images.map(image => image.resultId);
+  await ArchivedImage.deleteMany({ _id: { $in: images.map(image => image._id) } });
+  await PatientResult.updateMany(
+    { _id: { $in: resultIds } },
+    { $set: { hasArchivedImage: false } }
+  );
+  await deleteResultHeatmaps({ resultId: { $in: resultIds } });
+  return images.length;
+};
+
+// Retention: runs at startup and every IMAGE_PURGE_INTERVAL_MINUTES. Heatmaps of photos
+// that were not archived are kept for IMAGE_RETENTION_DAYS, like an archived photo.
+const purgeExpiredImages = async () => {
+  const purged = await deleteArchivedImages({ expiresAt: { $lte: new Date() } });
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} archived photo(s) past their retention period`);
+  }
+
+  const cutoff = new Date(Date.now() - IMAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const staleResultIds = await ResultHeatmap.distinct('resultId', { created_at: { $lte: cutoff } });
+  if (staleResultIds.length > 0) {
+    const archivedResultIds = await ArchivedImage.distinct('resultId', { resultId: { $in: staleResultIds } });
+    const archived = new Set(archivedResultIds.map(String));
+    const purgedHeatmaps = await deleteResultHeatmaps({
+      resultId: { $in: staleResultIds.filter(id => !archived.has(String(id))) }
+    });
+    if (purgedHeatmaps > 0) {
+      console.log(`🗑️ Purged ${purgedHeatmaps} heatmap(s) past their retention period`);
+    }
+  }
+  return purged;
+};
+
 // Enhanced savePatientResult function
 const savePatientResult = async (username, result) => {
   try {
@@ -251,18 +869,16 @@ const savePatientResult = async (username, result) => {
     }
 
     const now = new Date();
-    
-    const safeConfidence = Number.isFinite(result.confidence) ? result.confidence : 0.8;
-    const safePrediction = result.prediction;
-    
-    if (safePrediction !== 'Anemic' && safePrediction !== 'Non-anemic') {
-      throw new Error(`Invalid prediction value: ${safePrediction}`);
-    }
 
     const patientResult = new PatientResult({
       username,
-      prediction: safePrediction,
-      confidence: safeConfidence,
+      ...resultFields(result),
+      screeningSessionId: result.screeningSessionId || null,
+      patientLabel: result.patientLabel || null,
+      imageIndex: Number.isInteger(result.imageIndex) ? result.imageIndex : null,
+      imageHash: result.imageHash || null,
+      resubmissionOf: result.resubmissionOf || null,
+      patientProfile: result.patientProfile || null,
       symptoms: result.symptoms || null,
       timestamp: now,
       date: now.toLocaleDateString(),
@@ -270,7 +886,13 @@ const savePatientResult = async (username, result) => {
     });
 
     const saved = await patientResult.save();
-    console.log(`✅ Saved result for patient: ${username} (ID: ${saved._id}, Prediction: ${safePrediction})`);
+    console.log(`✅ Saved result for patient: ${username} (ID: ${saved._id}, Prediction: ${saved.prediction}, Model: ${saved.modelName || 'n/a'}@${saved.modelVersion || 'n/a'})`);
+
+    if (await saveResultHeatmap(saved._id, username, result.heatmap)) {
+      saved.hasHeatmap = true;
+      await saved.save();
+    }
+
     return saved;
   } catch (err) {
     console.error('❌ Error saving patient result:', err);
@@ -279,6 +901,317 @@ const savePatientResult = async (username, result) => {
   }
 };
 
+// One-off migration: older records stored the raw model output P(Non-anemic) as
+// "confidence", even for Anemic predictions. The model only ever predicts Anemic
+// when that output is <= 0.5, so Anemic records at or below 0.5 are raw outputs
+// and get flipped to P(Anemic). Anemic records above 0.5 (the old 0.8 default)
+// and Non-anemic records already hold the probability of their own class.
+const migrateConfidenceSemantics = async () => {
+  try {
+    const unmigrated = { confidenceSemantics: { $ne: 'class_probability' } };
+    const isRawAnemic = {
+      $and: [{ $eq: ['$prediction', 'Anemic'] }, { $lte: ['$confidence', 0.5] }]
+    };
+    const classConfidence = {
+      $cond: [isRawAnemic, { $subtract: [1, '$confidence'] }, '$confidence']
+    };
+    const anemicProbability = {
+      $cond: [{ $eq: ['$prediction', 'Anemic'] }, classConfidence, { $subtract: [1, '$confidence'] }]
+    };
+
+    const resultsUpdate = await PatientResult.updateMany(
+      { ...unmigrated, confidence: { $type: 'number' } },
+      [{
+        $set: {
+          probabilities: {
+            anemic: anemicProbability,
+            nonAnemic: { $subtract: [1, anemicProbability] }
+          },
+          confidence: classConfidence,
+          confidenceSemantics: 'class_probability'
+        }
+      }]
+    );
+
+    const assessmentsUpdate = await DoctorAssessment.updateMany(
+      { ...unmigrated, confidence: { $type: 'number' } },
+      [{
+        $set: {
+          confidence: classConfidence,
+          confidenceSemantics: 'class_probability'
+        }
+      }]
+    );
+
+    if (resultsUpdate.modifiedCount || assessmentsUpdate.modifiedCount) {
+      console.log(`✅ Migrated confidence values: ${resultsUpdate.modifiedCount} results, ${assessmentsUpdate.modifiedCount} assessments`);
+    }
+  } catch (error) {
+    console.error('❌ Error migrating confidence values:', error);
+  }
+};
+
+// Run the shadow model on a photo that has already been answered and log both outputs.
+// Failures are logged only - the patient-facing result is never affected.
+const recordShadowComparison = async (image, result, savedResult) => {
+  try {
+    const comparison = await modelManager.runShadow(image, result);
+    if (!comparison) return;
+
+    await ShadowComparison.create({
+      ...comparison,
+      resultId: savedResult?._id || null,
+      username: savedResult?.username || null
+    });
+  } catch (error) {
+    console.error('❌ Error recording shadow comparison:', error);
+  }
+};
+
+// A prediction made while its model was not loaded can be re-run later
+const isModelOutage = (result) => result.inconclusive && result.reason === 'MODEL_NOT_LOADED';
+
+// Keep an uploaded photo for re-inference: disk uploads move into PENDING_UPLOAD_DIR,
+// memory uploads keep their bytes. Returns the fields for the PendingInference job,
+// or null when the photo could not be kept (the result is then stored as inconclusive).
+const keepForReinference = async (file) => {
+  if (file.buffer) return { image: file.buffer };
+
+  try {
+    await fs.mkdir(PENDING_UPLOAD_DIR, { recursive: true });
+    const pendingPath = path.join(PENDING_UPLOAD_DIR, path.basename(file.path));
+    await fs.rename(file.path, pendingPath);
+    return { imagePath: pendingPath };
+  } catch (error) {
+    console.error('❌ Could not keep photo for re-inference:', error.message);
+    return null;
+  }
+};
+
+// Result fields to save for a prediction, turning a model outage into a pending result
+// when the photo was kept for re-inference
+const pendingAwareResult = (result, pendingImage) => (pendingImage
+  ? { ...result, status: 'pending', message: PENDING_MESSAGE }
+  : result);
+
+const queuePendingInference = async (savedResult, pendingImage, requestedModel) => {
+  await PendingInference.create({
+    resultId: savedResult._id,
+    username: savedResult.username,
+    ...pendingImage,
+    modelName: requestedModel.model || null,
+    modelVersion: requestedModel.version || null
+  });
+  console.log(`⏳ Queued result ${savedResult._id} for re-inference once the model loads`);
+};
+
+// Hash an upload for duplicate detection; a photo that cannot be hashed is simply not checked
+const hashUpload = async (file) => {
+  try {
+    return await perceptualHash(uploadedImage(file));
+  } catch (error) {
+    console.warn('⚠️ Could not hash upload:', error.message);
+    return null;
+  }
+};
+
+// Latest screening of a near-identical photo from the same user within DUPLICATE_WINDOW_HOURS.
+// Inconclusive attempts never match, so a photo that could not be analysed can be sent again.
+const findRecentDuplicate = async (username, imageHash) => {
+  if (!imageHash || !(DUPLICATE_WINDOW_HOURS > 0)) return null;
+
+  const candidates = await PatientResult.find({
+    username,
+    imageHash: { $ne: null },
+    status: { $in: ['completed', 'pending'] },
+    resubmissionOf: null,
+    timestamp: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000) }
+  }).sort({ timestamp: -1 }).lean();
+
+  return candidates.find(candidate => hammingDistance(candidate.imageHash, imageHash) <= DUPLICATE_MAX_DISTANCE) || null;
+};
+
+// Count a single-image resubmission against the result it repeats
+const recordResubmission = async (earlier) => {
+  await PatientResult.updateOne(
+    { _id: earlier._id },
+    { $inc: { resubmissions: 1 }, $set: { lastResubmittedAt: new Date() } }
+  );
+  console.log(`🔁 ${earlier.username} resubmitted the photo of result ${earlier._id} - returning the earlier result`);
+};
+
+const notifyResultReady = async (username, resultId, fields) => {
+  const inconclusive = fields.status === 'inconclusive';
+  await Notification.create({
+    username,
+    resultId,
+    type: inconclusive ? 'RESULT_INCONCLUSIVE' : 'RESULT_READY',
+    message: inconclusive
+      ? `We could not analyse the photo you submitted earlier: ${fields.statusMessage || 'please take a new photo.'}`
+      : `Your screening result is ready: ${fields.prediction} (${Math.round(fields.confidence * 100)}% confidence).`
+  });
+};
+
+// Store the outcome of a queued photo, tell the patient and drop the job
+const completePendingInference = async (job, fields, heatmap) => {
+  const hasHeatmap = await saveResultHeatmap(job.resultId, job.username, heatmap);
+  await PatientResult.updateOne(
+    { _id: job.resultId },
+    { $set: { ...fields, hasHeatmap, analysedAt: new Date() } }
+  );
+  await notifyResultReady(job.username, job.resultId, fields);
+  await PendingInference.deleteOne({ _id: job._id });
+  if (job.imagePath) {
+    await fs.unlink(job.imagePath).catch(() => {});
+  }
+  console.log(`✅ Re-inference finished for result ${job.resultId} (${fields.prediction})`);
+};
+
+// The model a queued photo was meant for: the one it asked for, or the default then in force
+const queuedModelInfo = (job) => {
+  try {
+    const entry = modelManager.resolveModel(job.modelName || undefined, job.modelVersion || undefined);
+    return { modelName: entry.name, modelVersion: entry.version };
+  } catch (error) {
+    return { modelName: job.modelName, modelVersion: job.modelVersion };
+  }
+};
+
+// A failed analysis of a queued photo. It is tried again later until PENDING_MAX_ATTEMPTS,
+// then the result is finalised as inconclusive and the patient told to take a new photo.
+// Returns true while the job stays queued.
+const recordPendingFailure = async (job, message, result = null) => {
+  const attempts = job.attempts + 1;
+  console.error(`❌ Re-inference failed for result ${job.resultId} (attempt ${attempts}/${PENDING_MAX_ATTEMPTS}):`, message);
+  if (attempts < PENDING_MAX_ATTEMPTS) {
+    await PendingInference.updateOne({ _id: job._id }, { $set: { attempts, lastError: message } });
+    return true;
+  }
+
+  await completePendingInference(job, resultFields({
+    status: 'inconclusive',
+    reason: result?.reason || 'INFERENCE_FAILED',
+    message: 'The photo could not be analysed. Please take a new photo.',
+    ...queuedModelInfo(job)
+  }));
+  return false;
+};
+
+// Re-run every queued photo whose model is loaded. Called when a model finishes
+// loading; a call that arrives mid-run makes the loop go round once more.
+let pendingRun = null;
+let pendingRerun = false;
+let pendingRetryTimer = null;
+
+// Another pass later: after a failed analysis, or when live traffic filled the pool
+const schedulePendingRetry = (seconds) => {
+  if (pendingRetryTimer) return;
+  pendingRetryTimer = setTimeout(() => {
+    pendingRetryTimer = null;
+    processPendingInferences();
+  }, seconds * 1000);
+  pendingRetryTimer.unref();
+};
+
+const processPendingInferences = async () => {
+  if (pendingRun) {
+    pendingRerun = true;
+    return pendingRun;
+  }
+  if (mongoose.connection.readyState !== 1) return;
+
+  pendingRun = (async () => {
+    let retryAfter = null;
+    try {
+      do {
+        pendingRerun = false;
+        // Photo bytes are loaded one job at a time, not for the whole queue
+        const jobs = await PendingInference.find().select('-image').sort({ created_at: 1 }).lean();
+        for (const job of jobs) {
+          const requestedModel = { model: job.modelName || undefined, version: job.modelVersion || undefined };
+          if (!modelManager.hasModel(requestedModel.model, requestedModel.version) ||
+              !modelManager.isModelReady(requestedModel.model, requestedModel.version)) {
+            continue;
+          }
+
+          try {
+            const image = job.imagePath || (await PendingInference.findById(job._id).select('image')).image;
+            const result = await modelManager.predict(image, { ...requestedModel, heatmap: true });
+            if (isModelOutage(result)) continue;
+
+            // predict() reports failed preprocessing or inference as an inconclusive result
+            if (result.inconclusive) {
+              if (await recordPendingFailure(job, result.error || result.message, result)) {
+                retryAfter = Math.max(retryAfter || 0, PENDING_RETRY_DELAY_SECONDS);
+              }
+              continue;
+            }
+
+            // A queued photo that fails the quality gate can no longer be retaken in the moment
+            const fields = result.qualityRejected
+              ? resultFields({
+                status: 'inconclusive',
+                reason: result.quality.reason,
+                message: result.quality.message,
+                quality: result.quality,
+                modelName: result.modelName,
+                modelVersion: result.modelVersion
+              })
+              : resultFields(result);
+            await completePendingInference(job, fields, result.heatmap);
+            await recordInputStats(job.username, result, { _id: job.resultId });
+          } catch (error) {
+            // A full pool is back-pressure from live traffic, not a failed analysis:
+            // stop this pass and come back once there is room, without using up an attempt
+            if (error.code === 'QUEUE_FULL') {
+              console.log(`⏳ Inference pool busy - resuming queued photos in ${error.retryAfter || PENDING_RETRY_DELAY_SECONDS}s`);
+              retryAfter = error.retryAfter || PENDING_RETRY_DELAY_SECONDS;
+              pendingRerun = false;
+              break;
+            }
+            if (await recordPendingFailure(job, error.message)) {
+              retryAfter = Math.max(retryAfter || 0, PENDING_RETRY_DELAY_SECONDS);
+            }
+          }
+        }
+      } while (pendingRerun);
+    } catch (error) {
+      console.error('❌ Error processing pending inferences:', error);
+    } finally {
+      pendingRun = null;
+    }
+    if (retryAfter !== null) {
+      schedulePendingRetry(retryAfter);
+    }
+  })();
+  return pendingRun;
+};
+
+// Shape a stored profile the way ModelManager.setCalibration expects it
+const toModelCalibration = (profile) => ({
+  profileId: String(profile._id),
+  version: profile.version,
+  method: profile.method,
+  params: profile.params || {},
+  threshold: profile.threshold
+});
+
+// Install the active calibration profile of every registered model version
+const loadActiveCalibrations = async () => {
+  try {
+    const profiles = await CalibrationProfile.find({ status: 'active' }).lean();
+    for (const profile of profiles) {
+      if (!modelManager.hasModel(profile.modelName, profile.modelVersion)) {
+        console.warn(`⚠️ Calibration v${profile.version} targets unregistered model ${profile.modelName}@${profile.modelVersion}`);
+        continue;
+      }
+      modelManager.setCalibration(profile.modelName, profile.modelVersion, toModelCalibration(profile));
+    }
+  } catch (error) {
+    console.error('❌ Error loading calibration profiles:', error);
+  }
+};
+
 const getPatientResults = async (username) => {
   try {
     const results = await PatientResult.find({ username })
@@ -304,30 +1237,39 @@ const getAllPatientResults = async () => {
   }
 };
 
+// Inconclusive and pending results and resubmitted photos are stored but never counted as screenings
+const CONCLUSIVE_RESULTS = { status: { $nin: ['inconclusive', 'pending'] }, resubmissionOf: null };
+// $sum operand counting Anemic predictions
+const ANEMIC_COUNT = { $cond: [{ $eq: ["$prediction", "Anemic"] }, 1, 0] };
+
 const getSystemStats = async () => {
   try {
-    const [totalUsersCount, totalTests, anemicCases, todayTests, weeklyTests, userActivity, predictionTrends, monthlyStats] = await Promise.all([
-      PatientResult.distinct('username').then(users => users.length),
-      PatientResult.countDocuments(),
-      PatientResult.countDocuments({ prediction: 'Anemic' }),
+    const [totalUsersCount, totalTests, anemicCases, todayTests, weeklyTests, userActivity, predictionTrends, monthlyStats, inconclusiveTests, pendingTests, reviewRequiredTests, duplicatesByUser, weeklyInputs, openDriftAlerts] = await Promise.all([
+      PatientResult.distinct('username', CONCLUSIVE_RESULTS).then(users => users.length),
+      PatientResult.countDocuments(CONCLUSIVE_RESULTS),
+      PatientResult.countDocuments({ ...CONCLUSIVE_RESULTS, prediction: 'Anemic' }),
       PatientResult.countDocuments({
+        ...CONCLUSIVE_RESULTS,
         timestamp: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
       }),
       PatientResult.aggregate([
         {
           $match: {
+            ...CONCLUSIVE_RESULTS,
             timestamp: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
           }
         },
         {
           $group: {
             _id: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } },
-            count: { $sum: 1 }
+            count: { $sum: 1 },
+            anemic: { $sum: ANEMIC_COUNT }
           }
         },
         { $sort: { _id: 1 } }
       ]),
       PatientResult.aggregate([
+        { $match: CONCLUSIVE_RESULTS },
         {
           $group: {
             _id: "$username",
@@ -339,6 +1281,7 @@ const getSystemStats = async () => {
         { $limit: 10 }
       ]),
       PatientResult.aggregate([
+        { $match: CONCLUSIVE_RESULTS },
         {
           $group: {
             _id: "$prediction",
@@ -347,15 +1290,53 @@ const getSystemStats = async () => {
         }
       ]),
       PatientResult.aggregate([
+        { $match: CONCLUSIVE_RESULTS },
         {
           $group: {
             _id: { $dateToString: { format: "%Y-%m", date: "$timestamp" } },
-            count: { $sum: 1 }
+            count: { $sum: 1 },
+            anemic: { $sum: ANEMIC_COUNT }
           }
         },
         { $sort: { _id: -1 } },
         { $limit: 12 }
-      ])
+      ]),
+      PatientResult.countDocuments({ status: 'inconclusive' }),
+      PatientResult.countDocuments({ status: 'pending' }),
+      PatientResult.countDocuments({ ...CONCLUSIVE_RESULTS, reviewRequired: true }),
+      // Resubmitted photos: answered from an earlier result, or flagged batch images
+      PatientResult.aggregate([
+        { $match: { $or: [{ resubmissions: { $gt: 0 } }, { resubmissionOf: { $ne: null } }] } },
+        {
+          $group: {
+            _id: "$username",
+            count: {
+              $sum: {
+                $add: [
+                  { $ifNull: ["$resubmissions", 0] },
+                  { $cond: [{ $gt: ["$resubmissionOf", null] }, 1, 0] }
+                ]
+              }
+            }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]),
+      // What the uploads looked like, per day - the raw material of drift monitoring
+      InputStat.aggregate([
+        { $match: { timestamp: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } },
+            uploads: { $sum: 1 },
+            rejected: { $sum: { $cond: ["$qualityRejected", 1, 0] } },
+            brightness: { $avg: "$brightness" },
+            megapixels: { $avg: "$megapixels" }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      DriftAlert.countDocuments({ status: 'open' })
     ]);
 
     return {
@@ -363,7 +1344,28 @@ const getSystemStats = async () => {
       totalTests: [{ count: totalTests }],
       anemicCases: [{ count: anemicCases }],
       todayTests: [{ count: todayTests }],
-      weeklyTests: weeklyTests.map(item => ({ date: item._id, count: item.count })),
+      inconclusiveTests: [{ count: inconclusiveTests }],
+      pendingTests: [{ count: pendingTests }],
+      reviewRequiredTests: [{ count: reviewRequiredTests }],
+      duplicateSubmissions: [{ count: duplicatesByUser.reduce((sum, item) => sum + item.count, 0) }],
+      duplicatesByUser: duplicatesByUser.slice(0, 10).map(item => ({
+        username: item._id,
+        count: item.count
+      })),
+      weeklyTests: weeklyTests.map(item => ({
+        date: item._id,
+        count: item.count,
+        anemic: item.anemic,
+        anemicRate: item.anemic / item.count
+      })),
+      weeklyInputs: weeklyInputs.map(item => ({
+        date: item._id,
+        uploads: item.uploads,
+        rejected: item.rejected,
+        brightness: item.brightness,
+        megapixels: item.megapixels
+      })),
+      openDriftAlerts: [{ count: openDriftAlerts }],
       userActivity: userActivity.map(item => ({ 
         username: item._id, 
         tests: item.tests, 
@@ -375,7 +1377,9 @@ const getSystemStats = async () => {
       })),
       monthlyStats: monthlyStats.map(item => ({ 
         month: item._id, 
-        count: item.count 
+        count: item.count,
+        anemic: item.anemic,
+        anemicRate: item.anemic / item.count
       }))
     };
   } catch (err) {
@@ -384,31 +1388,162 @@ const getSystemStats = async () => {
   }
 };
 
-const deletePatientResult = async (username, resultId) => {
+// Record what an upload looked like. Best effort - drift monitoring never costs a screening.
+const recordInputStats = async (username, result, savedResult = null) => {
+  if (!result?.inputStats) return;
   try {
-    const result = await PatientResult.findOneAndDelete({ 
-      _id: resultId, 
-      username: username 
+    await InputStat.create({
+      ...result.inputStats,
+      username,
+      resultId: savedResult?._id || null,
+      modelName: result.modelName || null,
+      modelVersion: result.modelVersion || null,
+      qualityRejected: Boolean(result.qualityRejected)
     });
-    
-    if (!result) {
-      throw new Error('Result not found or unauthorized');
-    }
-    
-    console.log(`✅ Deleted result ID: ${resultId} for patient: ${username}`);
-    return true;
-  } catch (err) {
-    console.error('❌ Error deleting patient result:', err);
-    throw err;
+  } catch (error) {
+    console.error('❌ Error recording input statistics:', error);
   }
 };
 
-// Middleware
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// Input and prediction summary of one time window, in the shape models/drift.js compares
+const summariseDriftWindow = async (from, to) => {
+  const match = { timestamp: { $gte: from, $lt: to } };
+  const [inputs, histogram, screenings] = await Promise.all([
+    InputStat.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          uploads: { $sum: 1 },
+          rejected: { $sum: { $cond: ["$qualityRejected", 1, 0] } },
+          brightnessMean: { $avg: "$brightness" },
+          brightnessStd: { $stdDevPop: "$brightness" },
+          megapixelsMean: { $avg: "$megapixels" },
+          megapixelsStd: { $stdDevPop: "$megapixels" }
+        }
+      }
+    ]),
+    InputStat.aggregate([
+      { $match: match },
+      { $unwind: { path: "$histogram", includeArrayIndex: "bin" } },
+      { $group: { _id: "$bin", share: { $avg: "$histogram" } } },
+      { $sort: { _id: 1 } }
+    ]),
+    PatientResult.aggregate([
+      { $match: { ...CONCLUSIVE_RESULTS, ...match } },
+      { $group: { _id: null, screenings: { $sum: 1 }, anemic: { $sum: ANEMIC_COUNT } } }
+    ])
+  ]);
 
-// Session configuration with MongoDB store
+  const summary = inputs[0] || {};
+  return {
+    from,
+    to,
+    uploads: summary.uploads || 0,
+    rejected: summary.rejected || 0,
+    brightness: { mean: summary.brightnessMean ?? null, std: summary.brightnessStd ?? null },
+    megapixels: { mean: summary.megapixelsMean ?? null, std: summary.megapixelsStd ?? null },
+    histogram: histogram.map(bin => bin.share),
+    screenings: screenings[0]?.screenings || 0,
+    anemic: screenings[0]?.anemic || 0
+  };
+};
+
+// Compare recent uploads with the baseline. Read-only: alerts are raised by checkDrift.
+const compareDrift = async () => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const now = new Date();
+  const recentFrom = new Date(now.getTime() - DRIFT_RECENT_DAYS * dayMs);
+  const pinned = await DriftBaseline.findOne().sort({ created_at: -1 }).lean();
+  const baselineFrom = pinned ? pinned.from : new Date(recentFrom.getTime() - DRIFT_BASELINE_DAYS * dayMs);
+  const baselineTo = pinned ? pinned.to : recentFrom;
+
+  const [baseline, recent] = await Promise.all([
+    summariseDriftWindow(baselineFrom, baselineTo),
+    summariseDriftWindow(recentFrom, now)
+  ]);
+  const report = drift.compareWindows(baseline, recent, DRIFT_THRESHOLDS);
+
+  return {
+    ...report,
+    checkedAt: now,
+    baselinePinned: Boolean(pinned),
+    baseline,
+    recent
+  };
+};
+
+// Open an alert for every drifting metric that has no open alert and no acknowledged
+// one still standing. A metric back under its limit clears its acknowledged alerts, so
+// the next drift raises a fresh one. Runs on the DRIFT_CHECK_INTERVAL_MINUTES timer.
+const checkDrift = async () => {
+  const report = await compareDrift();
+
+  for (const metric of report.metrics) {
+    if (!metric.drifted) {
+      if (!Number.isFinite(metric.score)) continue; // not measurable, so not back to normal either
+      await DriftAlert.updateMany(
+        { metric: metric.metric, status: 'acknowledged', cleared_at: null },
+        { $set: { cleared_at: report.checkedAt } }
+      );
+      continue;
+    }
+
+    const standing = await DriftAlert.exists({
+      metric: metric.metric,
+      $or: [{ status: 'open' }, { status: 'acknowledged', cleared_at: null }]
+    });
+    if (standing) continue;
+
+    await DriftAlert.create({
+      metric: metric.metric,
+      score: Number.isFinite(metric.score) ? metric.score : null,
+      limit: metric.limit,
+      baseline: metric.baseline,
+      recent: metric.recent,
+      baselineWindow: { from: report.baseline.from, to: report.baseline.to },
+      recentWindow: { from: report.recent.from, to: report.recent.to }
+    });
+    console.warn(`🚨 Drift alert: ${metric.metric} (score ${Number(metric.score).toFixed(2)}, limit ${metric.limit})`);
+  }
+
+  return report;
+};
+
+const deletePatientResult = async (username, resultId) => {
+  try {
+    const result = await PatientResult.findOneAndDelete({ 
+      _id: resultId, 
+      username: username 
+    });
+    
+    if (!result) {
+      throw new Error('Result not found or unauthorized');
+    }
+    // Everything kept about the screening goes with it, a queued photo included
+    await ArchivedImage.deleteOne({ resultId: result._id });
+    await ResultHeatmap.deleteOne({ resultId: result._id });
+    await InputStat.deleteMany({ resultId: result._id });
+    await ShadowComparison.deleteMany({ resultId: result._id });
+    const pending = await PendingInference.findOneAndDelete({ resultId: result._id }, { projection: { imagePath: 1 } });
+    if (pending?.imagePath) {
+      await fs.unlink(pending.imagePath).catch(() => {});
+    }
+    
+    console.log(`✅ Deleted result ID: ${resultId} for patient: ${username}`);
+    return true;
+  } catch (err) {
+    console.error('❌ Error deleting patient result:', err);
+    throw err;
+  }
+};
+
+// Middleware
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Session configuration with MongoDB store
 app.use(session({
   secret: process.env.SESSION_SECRET || 'anemia-malaria-secret-2024',
   resave: false,
@@ -423,41 +1558,141 @@ app.use(session({
   }
 }));
 
-// Multer configuration - disk storage for local model processing
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, 'uploads'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Multer configuration - disk storage for local model processing, or memory
+// storage that hands the bytes straight to sharp (see UPLOAD_STORAGE)
+const storage = UPLOAD_STORAGE === 'memory'
+  ? multer.memoryStorage()
+  : multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, path.join(__dirname, 'uploads'));
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  });
+
+// What ModelManager reads for an upload: the bytes in memory mode, the file on disk
+const uploadedImage = (file) => file.buffer || file.path;
+
+// Delete uploads from disk once they are no longer needed. Memory uploads have
+// no file, so there is nothing to clean up.
+const discardUploads = (files) => Promise.all(files.filter(file => file && file.path).map(file =>
+  fs.unlink(file.path).catch(cleanupError =>
+    console.warn('⚠️ Could not clean up file:', cleanupError.message))
+));
+
+const SANITISED_EXTENSIONS = { jpeg: '.jpg', png: '.png', webp: '.webp' };
+
+// Runs after multer: checks each upload by its content (magic bytes, not the
+// client's mimetype or extension), then rewrites it upright and with all
+// metadata (GPS, device identifiers) stripped before anything else reads it.
+const sanitiseUploads = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  try {
+    for (const file of files) {
+      console.log('File upload attempt:', {
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size
+      });
+
+      const validationErrors = modelManager.validateImageFile(file);
+      if (validationErrors.length > 0) {
+        const error = new Error(validationErrors[0]);
+        error.code = 'INVALID_IMAGE';
+        throw error;
+      }
+
+      const { buffer, format } = await modelManager.sanitiseImage(file.buffer || await fs.readFile(file.path));
+      if (file.buffer) {
+        Object.assign(file, { buffer, mimetype: `image/${format}`, size: buffer.length });
+        continue;
+      }
+
+      const cleanPath = path.join(path.dirname(file.path), path.parse(file.path).name + SANITISED_EXTENSIONS[format]);
+      await fs.writeFile(cleanPath, buffer);
+      if (cleanPath !== file.path) {
+        await fs.unlink(file.path);
+      }
+      Object.assign(file, {
+        path: cleanPath,
+        filename: path.basename(cleanPath),
+        mimetype: `image/${format}`,
+        size: buffer.length
+      });
+    }
+    console.log(`✅ ${files.length} upload(s) accepted and sanitised`);
+    next();
+  } catch (error) {
+    console.warn('⚠️ Upload rejected:', error.message);
+    await discardUploads(files);
+    res.status(400).json({
+      success: false,
+      error: 'Invalid image',
+      code: 'INVALID_IMAGE',
+      message: error.code === 'INVALID_IMAGE'
+        ? error.message
+        : 'The photo could not be read. Please upload a JPEG, PNG, WebP or HEIC photo.'
+    });
   }
-});
+};
 
 const upload = multer({
   storage,
-  fileFilter: (req, file, cb) => {
-    console.log('File upload attempt:', {
-      originalname: file.originalname,
-      mimetype: file.mimetype,
-      size: file.size
-    });
-    
-    // Use ModelManager validation
-    const validationErrors = modelManager.validateImageFile(file);
-    if (validationErrors.length > 0) {
-      return cb(new Error(validationErrors[0]));
-    }
-    
-    console.log('✅ File accepted for upload');
-    cb(null, true);
-  },
   limits: { 
     fileSize: 10 * 1024 * 1024, // 10MB
     files: 1 
   }
 });
 
+// Batch screening: several photos per patient, or a whole household at once
+const MAX_BATCH_IMAGES = 10;
+const batchUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: MAX_BATCH_IMAGES
+  }
+});
+
+// Calibration: a labelled validation set uploaded by an admin
+const MAX_CALIBRATION_IMAGES = 200;
+const MIN_CALIBRATION_IMAGES = 10;
+const CALIBRATION_CHUNK_SIZE = 16;
+const calibrationUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: MAX_CALIBRATION_IMAGES
+  }
+});
+
+// 'Anemic' / 'Non-anemic' / 1 / 0 -> 1 (Anemic) or 0; anything else -> null
+const parseCalibrationLabel = (label) => {
+  if (label === 1 || label === true || label === 'Anemic' || label === '1') return 1;
+  if (label === 0 || label === false || label === 'Non-anemic' || label === '0') return 0;
+  return null;
+};
+
+// Pick the registry model requested by the client (falls back to the default model)
+const getRequestedModel = (req) => ({
+  model: req.body.model || undefined,
+  version: req.body.modelVersion || undefined
+});
+
+// Reply 503 with retry info when the inference queue is saturated
+const sendQueueFull = (res, error, body = {}) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(503).json({
+    ...body,
+    error: 'Prediction service is busy',
+    code: 'QUEUE_FULL',
+    retryAfter: error.retryAfter
+  });
+};
+
 // Authentication middleware
 const requireAuth = (req, res, next) => {
   if (!req.session.loggedIn) {
@@ -671,11 +1906,17 @@ app.get('/api/admin/dashboard-data', requireAdmin, async (req, res) => {
     }));
 
     const totalUsers = await User.countDocuments({ role: { $ne: 'admin' } });
-    const totalTests = await PatientResult.countDocuments();
-    const anemicCases = await PatientResult.countDocuments({ prediction: 'Anemic' });
+    const totalTests = await PatientResult.countDocuments(CONCLUSIVE_RESULTS);
+    const anemicCases = await PatientResult.countDocuments({ ...CONCLUSIVE_RESULTS, prediction: 'Anemic' });
     const todayTests = await PatientResult.countDocuments({
+      ...CONCLUSIVE_RESULTS,
       timestamp: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
     });
+    const inconclusiveTests = stats.inconclusiveTests?.[0]?.count || 0;
+    const pendingTests = stats.pendingTests?.[0]?.count || 0;
+    const reviewRequiredTests = stats.reviewRequiredTests?.[0]?.count || 0;
+    const openDriftAlerts = stats.openDriftAlerts?.[0]?.count || 0;
+    const duplicateSubmissions = stats.duplicateSubmissions?.[0]?.count || 0;
     const totalAssessments = allAssessments.length;
 
     const dashboardData = {
@@ -684,10 +1925,20 @@ app.get('/api/admin/dashboard-data', requireAdmin, async (req, res) => {
         totalTests,
         anemicCases,
         todayTests,
+        inconclusiveTests,
+        pendingTests,
+        reviewRequiredTests,
+        openDriftAlerts,
+        duplicateSubmissions,
+        duplicatesByUser: stats.duplicatesByUser || [],
         totalAssessments,
         weeklyTests: stats.weeklyTests || [],
+        weeklyInputs: stats.weeklyInputs || [],
         monthlyStats: stats.monthlyStats || []
       },
+      driftAlerts: openDriftAlerts > 0
+        ? await DriftAlert.find({ status: 'open' }).sort({ created_at: -1 }).lean()
+        : [],
       patientResults: allResults.slice(0, 50),
       doctorAssessments: assessmentsWithDoctors.slice(0, 50),
       users: allUsers
@@ -713,6 +1964,591 @@ app.get('/api/admin/users', requireAdmin, async (req, res) => {
   }
 });
 
+// Shadow model report: agreement with the live model, disagreements and latency
+app.get('/api/admin/shadow-report', requireAdmin, async (req, res) => {
+  try {
+    const shadowEntry = modelManager.getShadowEntry();
+    const days = parseInt(req.query.days) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    // Defaults to the configured shadow model; ?version= reports on an earlier candidate
+    const modelName = req.query.model || shadowEntry?.name || modelManager.defaultModelName;
+    const modelVersion = req.query.version || shadowEntry?.version;
+    if (!modelVersion) {
+      return res.json({ shadowModel: null, message: 'No shadow model configured' });
+    }
+
+    const match = { 'shadow.modelName': modelName, 'shadow.modelVersion': modelVersion, timestamp: { $gte: since } };
+    const comparisons = await ShadowComparison.find(match, '-__v')
+      .sort({ timestamp: -1 })
+      .lean();
+
+    const compared = comparisons.filter(c => c.agree !== null);
+    const disagreements = compared.filter(c => !c.agree);
+    const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    const percentile = (values, p) => {
+      if (!values.length) return null;
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    };
+    const latencyStats = (values) => ({
+      avg: average(values),
+      p50: percentile(values, 0.5),
+      p95: percentile(values, 0.95)
+    });
+
+    const liveLatencies = compared.map(c => c.primary.latencyMs).filter(Number.isFinite);
+    const shadowLatencies = compared.map(c => c.shadow.latencyMs).filter(Number.isFinite);
+
+    res.json({
+      shadowModel: {
+        name: modelName,
+        version: modelVersion,
+        ...(shadowEntry && shadowEntry.version === modelVersion
+          ? { configured: true, isLoaded: modelManager.isLoaded(shadowEntry), state: shadowEntry.state }
+          : { configured: false })
+      },
+      days,
+      total: comparisons.length,
+      compared: compared.length,
+      errors: comparisons.length - compared.length,
+      agreementRate: compared.length ? (compared.length - disagreements.length) / compared.length : null,
+      disagreementBreakdown: {
+        liveAnemicShadowNonAnemic: disagreements.filter(c => c.primary.prediction === 'Anemic').length,
+        liveNonAnemicShadowAnemic: disagreements.filter(c => c.primary.prediction === 'Non-anemic').length
+      },
+      meanAbsProbabilityDelta: average(compared.map(c => Math.abs(c.probabilityDelta))),
+      latency: {
+        live: latencyStats(liveLatencies),
+        shadow: latencyStats(shadowLatencies),
+        avgDifferenceMs: average(compared.map(c => c.latencyDeltaMs).filter(Number.isFinite))
+      },
+      recentDisagreements: disagreements.slice(0, 50)
+    });
+  } catch (error) {
+    console.error('Error building shadow report:', error);
+    res.status(500).json({ error: 'Failed to build shadow report' });
+  }
+});
+
+// Image archive: what is kept and the research set (photos whose owners agreed to
+// their use for improving the model), with each photo's screening outcome
+app.get('/api/admin/image-archive', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const [totals, researchImages] = await Promise.all([
+      ArchivedImage.aggregate([
+        {
+          $group: {
+            _id: null,
+            images: { $sum: 1 },
+            research: { $sum: { $cond: ['$research', 1, 0] } },
+            bytes: { $sum: '$size' },
+            nextExpiry: { $min: '$expiresAt' }
+          }
+        }
+      ]),
+      ArchivedImage.find({ research: true }, '-image')
+        .sort({ created_at: -1 })
+        .limit(limit)
+        .lean()
+    ]);
+
+    const results = await PatientResult.find(
+      { _id: { $in: researchImages.map(image => image.resultId) } },
+      'prediction probabilities status modelName modelVersion timestamp'
+    ).lean();
+    const resultsById = new Map(results.map(result => [String(result._id), result]));
+
+    res.json({
+      retentionDays: IMAGE_RETENTION_DAYS,
+      researchRetentionDays: IMAGE_RESEARCH_RETENTION_DAYS,
+      images: totals[0]?.images || 0,
+      researchImages: totals[0]?.research || 0,
+      bytes: totals[0]?.bytes || 0,
+      nextExpiry: totals[0]?.nextExpiry || null,
+      research: researchImages.map(image => ({
+        resultId: image.resultId,
+        imageUrl: `/api/results/${image.resultId}/image`,
+        contentType: image.contentType,
+        consentVersion: image.consentVersion,
+        expiresAt: image.expiresAt,
+        created_at: image.created_at,
+        result: resultsById.get(String(image.resultId)) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error building image archive summary:', error);
+    res.status(500).json({ error: 'Failed to load image archive' });
+  }
+});
+
+// Spreadsheet columns of the admin export (see models/tableExport.js)
+const yesSymptoms = (symptoms) => (symptoms && typeof symptoms === 'object'
+  ? Object.entries(symptoms).filter(([, value]) => value === 'yes' || value === true).map(([key]) => key).join(', ')
+  : null);
+
+const profileColumns = [
+  { header: 'Age', value: record => record.patientProfile?.age ?? null },
+  { header: 'Sex', value: record => record.patientProfile?.sex || null },
+  { header: 'Pregnancy status', value: record => record.patientProfile?.pregnancyStatus || null },
+  { header: 'Region', width: 20, value: record => record.patientProfile?.region || null },
+  { header: 'Risk factors', width: 30, value: record => (record.patientProfile?.riskFactors || []).join(', ') || null }
+];
+
+const RESULT_EXPORT_FIELDS = 'username prediction status statusReason confidence probabilities modelName modelVersion ' +
+  'calibration.threshold uncertainty.std reviewRequired screeningSessionId patientLabel resubmissionOf symptoms timestamp patientProfile';
+
+const RESULT_EXPORT_COLUMNS = [
+  { header: 'Result ID', width: 26, value: result => String(result._id) },
+  { header: 'Date', width: 22, value: result => result.timestamp },
+  { header: 'Username', width: 20, value: result => result.username },
+  { header: 'Prediction', width: 14, value: result => result.prediction },
+  { header: 'Status', width: 14, value: result => result.status || 'completed' },
+  { header: 'Status reason', width: 22, value: result => result.statusReason },
+  { header: 'Confidence', value: result => result.confidence },
+  { header: 'P(Anemic)', value: result => result.probabilities?.anemic ?? null },
+  { header: 'Decision threshold', value: result => result.calibration?.threshold ?? null },
+  { header: 'Probability spread', value: result => result.uncertainty?.std ?? null },
+  { header: 'Review required', value: result => Boolean(result.reviewRequired) },
+  { header: 'Model', width: 20, value: result => (result.modelName ? `${result.modelName}@${result.modelVersion}` : null) },
+  { header: 'Screening session', width: 26, value: result => result.screeningSessionId },
+  { header: 'Patient label', width: 20, value: result => result.patientLabel },
+  { header: 'Resubmission of', width: 26, value: result => (result.resubmissionOf ? String(result.resubmissionOf) : null) },
+  { header: 'Symptoms', width: 30, value: result => yesSymptoms(result.symptoms) },
+  ...profileColumns
+];
+
+const ASSESSMENT_EXPORT_FIELDS = 'doctorId from prediction confidence resultId riskLevel status conclusion ' +
+  'reviewed_by reviewed_at symptoms timestamp patientProfile';
+
+const ASSESSMENT_EXPORT_COLUMNS = [
+  { header: 'Assessment ID', width: 26, value: assessment => String(assessment._id) },
+  { header: 'Date', width: 22, value: assessment => assessment.timestamp },
+  { header: 'Username', width: 20, value: assessment => assessment.from },
+  { header: 'Doctor ID', width: 12, value: assessment => assessment.doctorId },
+  { header: 'Doctor', width: 24, value: assessment => doctorProfiles[assessment.doctorId]?.name || null },
+  { header: 'Result ID', width: 26, value: assessment => (assessment.resultId ? String(assessment.resultId) : null) },
+  { header: 'Prediction', width: 14, value: assessment => assessment.prediction },
+  { header: 'Confidence', value: assessment => assessment.confidence ?? null },
+  { header: 'Risk level', value: assessment => assessment.riskLevel },
+  { header: 'Status', value: assessment => assessment.status },
+  { header: 'Symptoms', width: 30, value: assessment => yesSymptoms(assessment.symptoms) },
+  { header: 'Conclusion', width: 40, value: assessment => assessment.conclusion },
+  { header: 'Reviewed by', width: 20, value: assessment => assessment.reviewed_by },
+  { header: 'Reviewed at', width: 22, value: assessment => assessment.reviewed_at },
+  ...profileColumns
+];
+
+// Streams screening results and/or doctor assessments as CSV or XLSX, one row per record.
+// type: results | assessments | all (XLSX only, one sheet each); format: csv | xlsx.
+// Filters: from / to (dates), prediction and riskLevel (comma lists), doctorId, username.
+// Results are limited by riskLevel and doctorId through the assessments that link to them.
+app.get('/api/admin/export', requireAdmin, async (req, res) => {
+  const type = req.query.type || 'results';
+  const format = req.query.format || 'csv';
+  if (!['results', 'assessments', 'all'].includes(type)) {
+    return res.status(400).json({ error: 'type must be results, assessments or all' });
+  }
+  if (!tableExport.FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+  if (type === 'all' && format !== 'xlsx') {
+    return res.status(400).json({ error: 'Exporting results and assessments together needs format=xlsx' });
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : null;
+  // A plain date as the end of the range includes that whole day
+  const to = req.query.to
+    ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(req.query.to) ? `${req.query.to}T23:59:59.999Z` : req.query.to)
+    : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime())) || (from && to && from > to)) {
+    return res.status(400).json({ error: 'from and to must be dates with from before to' });
+  }
+
+  const list = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+  const predictions = list(req.query.prediction);
+  const riskLevels = list(req.query.riskLevel).map(level => RISK_LEVELS[level.toLowerCase()]);
+  if (riskLevels.includes(undefined)) {
+    return res.status(400).json({ error: 'riskLevel must be Low, Medium or High' });
+  }
+  const doctorId = req.query.doctorId || null;
+  if (doctorId && !doctorProfiles[doctorId]) {
+    return res.status(400).json({ error: 'Unknown doctorId' });
+  }
+  const username = req.query.username || null;
+
+  const period = {};
+  if (from) period.$gte = from;
+  if (to) period.$lte = to;
+
+  const assessmentFilter = {
+    ...(from || to ? { timestamp: period } : {}),
+    ...(predictions.length ? { prediction: { $in: predictions } } : {}),
+    ...(riskLevels.length ? { riskLevel: { $in: riskLevels } } : {}),
+    ...(doctorId ? { doctorId } : {}),
+    ...(username ? { from: username } : {})
+  };
+
+  const cursors = [];
+  const counts = { results: 0, assessments: 0 };
+  try {
+    const resultFilter = {
+      ...(from || to ? { timestamp: period } : {}),
+      ...(predictions.length ? { prediction: { $in: predictions } } : {}),
+      ...(username ? { username } : {})
+    };
+    if ((type === 'results' || type === 'all') && (riskLevels.length || doctorId)) {
+      // Only the ids of matching assessments are held, never the records themselves
+      const linked = await DoctorAssessment.distinct('resultId', {
+        resultId: { $ne: null },
+        ...(riskLevels.length ? { riskLevel: { $in: riskLevels } } : {}),
+        ...(doctorId ? { doctorId } : {}),
+        ...(username ? { from: username } : {})
+      });
+      resultFilter._id = { $in: linked };
+    }
+
+    const sheets = [];
+    if (type === 'results' || type === 'all') {
+      sheets.push({ name: 'Results', key: 'results', columns: RESULT_EXPORT_COLUMNS, model: PatientResult, filter: resultFilter, fields: RESULT_EXPORT_FIELDS });
+    }
+    if (type === 'assessments' || type === 'all') {
+      sheets.push({ name: 'Assessments', key: 'assessments', columns: ASSESSMENT_EXPORT_COLUMNS, model: DoctorAssessment, filter: assessmentFilter, fields: ASSESSMENT_EXPORT_FIELDS });
+    }
+
+    const filename = `anemia-${type === 'all' ? 'export' : type}-${new Date().toISOString().slice(0, 10)}.${tableExport.FORMATS[format].extension}`;
+    res.setHeader('Content-Type', tableExport.FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const writer = tableExport.createTableWriter(format, res);
+    for (const sheet of sheets) {
+      await writer.addSheet(sheet.name, sheet.columns);
+      const cursor = sheet.model.find(sheet.filter, sheet.fields).sort({ timestamp: 1 }).lean().cursor();
+      cursors.push(cursor);
+      for await (const record of cursor) {
+        if (res.destroyed) break;
+        await writer.addRecord(record);
+        counts[sheet.key]++;
+      }
+      if (res.destroyed) break;
+    }
+
+    if (res.destroyed) {
+      console.log(`📤 Export by ${req.session.username} stopped: the client disconnected`);
+      return;
+    }
+    await writer.finish();
+
+    const filters = Object.entries({ from: req.query.from, to: req.query.to, prediction: predictions.join(','), riskLevel: riskLevels.join(','), doctorId, username })
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}=${value}`);
+    await logAdminAction(req.session.username, 'EXPORT_DATA', username,
+      `${format.toUpperCase()}: ${counts.results} results, ${counts.assessments} assessments${filters.length ? ` (${filters.join(', ')})` : ''}`);
+    console.log(`📤 ${req.session.username} exported ${counts.results} results and ${counts.assessments} assessments as ${format.toUpperCase()}`);
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ error: 'Failed to export data' });
+    }
+    // Part of the file is already out; cutting the connection marks the download as failed
+    res.destroy();
+  } finally {
+    await Promise.all(cursors.map(cursor => cursor.close().catch(() => {})));
+  }
+});
+
+// Input and prediction drift: a fresh comparison against the baseline, plus the alerts
+// raised by the timed checks
+app.get('/api/admin/drift', requireAdmin, async (req, res) => {
+  try {
+    const report = await compareDrift();
+    const alerts = await DriftAlert.find()
+      .sort({ created_at: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({
+      ...report,
+      thresholds: { ...drift.DEFAULT_DRIFT_THRESHOLDS, ...(DRIFT_THRESHOLDS || {}) },
+      alerts
+    });
+  } catch (error) {
+    console.error('Error building drift report:', error);
+    res.status(500).json({ error: 'Failed to build drift report' });
+  }
+});
+
+app.post('/api/admin/drift/alerts/:id/acknowledge', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const alert = await DriftAlert.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { $set: { status: 'acknowledged', acknowledged_by: req.session.username, acknowledged_at: new Date() } },
+      { new: true }
+    );
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found or already acknowledged' });
+    }
+
+    await logAdminAction(req.session.username, 'ACKNOWLEDGE_DRIFT_ALERT', null, `${alert.metric} (score ${alert.score})`);
+    res.json({ success: true, alert });
+  } catch (error) {
+    console.error('Error acknowledging drift alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge drift alert' });
+  }
+});
+
+// Pin the baseline to a period known to be normal (default: the last DRIFT_BASELINE_DAYS)
+app.post('/api/admin/drift/baseline', requireAdmin, async (req, res) => {
+  try {
+    const to = req.body.to ? new Date(req.body.to) : new Date();
+    const from = req.body.from ? new Date(req.body.from) : new Date(to.getTime() - DRIFT_BASELINE_DAYS * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be dates with from before to' });
+    }
+
+    const baseline = await DriftBaseline.create({ from, to, created_by: req.session.username });
+    // Acknowledged alerts were judged against the old baseline
+    await DriftAlert.updateMany({ status: 'acknowledged', cleared_at: null }, { $set: { cleared_at: new Date() } });
+    await logAdminAction(req.session.username, 'PIN_DRIFT_BASELINE', null, `${from.toISOString()} - ${to.toISOString()}`);
+    res.json({ success: true, baseline });
+  } catch (error) {
+    console.error('Error pinning drift baseline:', error);
+    res.status(500).json({ error: 'Failed to pin drift baseline' });
+  }
+});
+
+// Back to a rolling baseline
+app.delete('/api/admin/drift/baseline', requireAdmin, async (req, res) => {
+  try {
+    await DriftBaseline.deleteMany({});
+    await logAdminAction(req.session.username, 'UNPIN_DRIFT_BASELINE');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unpinning drift baseline:', error);
+    res.status(500).json({ error: 'Failed to unpin drift baseline' });
+  }
+});
+
+// Calibration profiles for a model version, newest first, plus what is live now
+app.get('/api/admin/calibration', requireAdmin, async (req, res) => {
+  try {
+    const { model, version } = getRequestedModel({ body: req.query });
+    if (!modelManager.hasModel(model, version)) {
+      return res.status(400).json({ error: 'Unknown model requested' });
+    }
+    const entry = modelManager.resolveModel(model, version);
+
+    const profiles = await CalibrationProfile.find({
+      modelName: entry.name,
+      modelVersion: entry.version
+    })
+      .sort({ version: -1 })
+      .limit(20)
+      .lean();
+
+    res.json({
+      model: { name: entry.name, version: entry.version },
+      active: entry.calibration,
+      profiles
+    });
+  } catch (error) {
+    console.error('Error fetching calibration profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch calibration profiles' });
+  }
+});
+
+// Fit a calibration on a labelled validation set and store it as a draft profile
+app.post('/api/admin/calibration/fit', requireAdmin, calibrationUpload.array('images', MAX_CALIBRATION_IMAGES), sanitiseUploads, async (req, res) => {
+  const files = req.files || [];
+  const cleanupFiles = () => discardUploads(files);
+
+  try {
+    let labels;
+    try {
+      labels = JSON.parse(req.body.labels || '[]').map(parseCalibrationLabel);
+    } catch (parseError) {
+      labels = null;
+    }
+
+    if (!Array.isArray(labels) || labels.length !== files.length || labels.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: 'labels must be a JSON array with one Anemic / Non-anemic label per uploaded image'
+      });
+    }
+
+    const method = req.body.method || 'platt';
+    if (!['none', 'platt', 'temperature'].includes(method)) {
+      return res.status(400).json({ success: false, error: `Unknown calibration method: ${method}` });
+    }
+
+    const targetSensitivity = req.body.targetSensitivity !== undefined ? parseFloat(req.body.targetSensitivity) : 0.95;
+    if (!(targetSensitivity > 0 && targetSensitivity <= 1)) {
+      return res.status(400).json({ success: false, error: 'targetSensitivity must be between 0 and 1' });
+    }
+
+    const requestedModel = getRequestedModel(req);
+    if (!modelManager.hasModel(requestedModel.model, requestedModel.version)) {
+      return res.status(400).json({ success: false, error: 'Unknown model requested' });
+    }
+    const entry = modelManager.resolveModel(requestedModel.model, requestedModel.version);
+
+    console.log(`🎯 Calibration fit (${method}) on ${files.length} images for ${entry.name}@${entry.version} by ${req.session.username}`);
+
+    // Calibrate from the model's raw output, not from whatever profile is live
+    const probs = [];
+    const keptLabels = [];
+    let rejected = 0;
+    for (let start = 0; start < files.length; start += CALIBRATION_CHUNK_SIZE) {
+      const chunk = files.slice(start, start + CALIBRATION_CHUNK_SIZE);
+      const predictions = await modelManager.predictBatch(chunk.map(uploadedImage), requestedModel);
+
+      for (const [offset, result] of predictions.entries()) {
+        if (result.inconclusive && result.reason !== 'PREPROCESSING_FAILED') {
+          return res.status(503).json({
+            success: false,
+            error: 'Model unavailable - cannot fit a calibration',
+            details: result.message
+          });
+        }
+        if (result.qualityRejected || result.inconclusive) {
+          rejected++;
+          continue;
+        }
+        probs.push(result.rawProbabilities.anemic);
+        keptLabels.push(labels[start + offset]);
+      }
+    }
+
+    const anemicCount = keptLabels.filter(Boolean).length;
+    if (probs.length < MIN_CALIBRATION_IMAGES || anemicCount === 0 || anemicCount === probs.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Need at least ${MIN_CALIBRATION_IMAGES} usable images covering both classes`,
+        usable: probs.length,
+        anemic: anemicCount,
+        rejected
+      });
+    }
+
+    const params = calibration.fitCalibration(method, probs, keptLabels);
+    const calibrated = probs.map(p => calibration.applyCalibration(p, { method, params }));
+    const curve = calibration.thresholdCurve(calibrated, keptLabels);
+    const recommendedThreshold = calibration.recommendThreshold(curve, targetSensitivity);
+
+    const latest = await CalibrationProfile.findOne({ modelName: entry.name, modelVersion: entry.version })
+      .sort({ version: -1 })
+      .lean();
+
+    const profile = await CalibrationProfile.create({
+      modelName: entry.name,
+      modelVersion: entry.version,
+      version: (latest?.version || 0) + 1,
+      method,
+      params,
+      threshold: recommendedThreshold,
+      targetSensitivity,
+      recommendedThreshold,
+      validation: {
+        images: files.length,
+        used: probs.length,
+        anemic: anemicCount,
+        nonAnemic: probs.length - anemicCount,
+        rejected
+      },
+      metrics: {
+        logLossBefore: calibration.logLoss(probs, keptLabels),
+        logLossAfter: calibration.logLoss(calibrated, keptLabels),
+        brierBefore: calibration.brierScore(probs, keptLabels),
+        brierAfter: calibration.brierScore(calibrated, keptLabels)
+      },
+      curve,
+      created_by: req.session.username
+    });
+
+    await logAdminAction(req.session.username, 'FIT_CALIBRATION', null,
+      `${entry.name}@${entry.version} v${profile.version} (${method}, ${probs.length} images, recommended threshold ${recommendedThreshold})`);
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('❌ Calibration fit failed:', error);
+
+    if (error.code === 'QUEUE_FULL') {
+      return sendQueueFull(res, error, { success: false });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Calibration fit failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    await cleanupFiles();
+  }
+});
+
+// Make a profile the live one, optionally at a different operating threshold.
+// Profiles that have already been live are never edited - results point at them -
+// so a new threshold on those creates a new version instead.
+app.post('/api/admin/calibration/:id/activate', requireAdmin, async (req, res) => {
+  try {
+    const profile = await CalibrationProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Calibration profile not found' });
+    }
+
+    if (!modelManager.hasModel(profile.modelName, profile.modelVersion)) {
+      return res.status(400).json({ success: false, error: 'Calibration targets a model that is not registered' });
+    }
+
+    const threshold = req.body.threshold !== undefined ? parseFloat(req.body.threshold) : profile.threshold;
+    if (!(threshold > 0 && threshold < 1)) {
+      return res.status(400).json({ success: false, error: 'threshold must be between 0 and 1' });
+    }
+
+    let target = profile;
+    if (profile.status !== 'draft' && threshold !== profile.threshold) {
+      const latest = await CalibrationProfile.findOne({ modelName: profile.modelName, modelVersion: profile.modelVersion })
+        .sort({ version: -1 })
+        .lean();
+      const { _id, __v, ...fields } = profile.toObject();
+      target = new CalibrationProfile({
+        ...fields,
+        version: latest.version + 1,
+        created_by: req.session.username,
+        created_at: new Date()
+      });
+    }
+
+    await CalibrationProfile.updateMany(
+      { modelName: profile.modelName, modelVersion: profile.modelVersion, status: 'active', _id: { $ne: target._id } },
+      { $set: { status: 'retired' } }
+    );
+
+    target.threshold = threshold;
+    target.status = 'active';
+    target.activated_by = req.session.username;
+    target.activated_at = new Date();
+    await target.save();
+
+    modelManager.setCalibration(target.modelName, target.modelVersion, toModelCalibration(target));
+
+    await logAdminAction(req.session.username, 'ACTIVATE_CALIBRATION', null,
+      `${target.modelName}@${target.modelVersion} v${target.version} (${target.method}, threshold ${threshold})`);
+
+    res.json({ success: true, profile: target });
+  } catch (error) {
+    console.error('Error activating calibration profile:', error);
+    res.status(500).json({ success: false, error: 'Failed to activate calibration profile' });
+  }
+});
+
 // User routes
 app.get('/symptoms', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'symptom-checker.html'));
@@ -727,7 +2563,7 @@ app.get('/history', requireAuth, (req, res) => {
 });
 
 // UPDATED: Main prediction endpoint using local ONNX model
-app.post('/predict', requireAuth, upload.single('eyelid'), async (req, res) => {
+app.post('/predict', requireAuth, upload.single('eyelid'), sanitiseUploads, async (req, res) => {
   console.log('Prediction request received from user:', req.session.username);
   
   if (!req.file) {
@@ -737,50 +2573,149 @@ app.post('/predict', requireAuth, upload.single('eyelid'), async (req, res) => {
     });
   }
 
-  const imagePath = req.file.path;
+  const image = uploadedImage(req.file);
+  const requestedModel = getRequestedModel(req);
+
+  if (!modelManager.hasModel(requestedModel.model, requestedModel.version)) {
+    await discardUploads([req.file]);
+    return res.status(400).json({
+      error: 'Unknown model requested',
+      code: 'UNKNOWN_MODEL'
+    });
+  }
+
+  const { symptoms, errors: symptomErrors } = parseSymptoms(req.body.symptoms);
+  if (symptomErrors.length > 0) {
+    await discardUploads([req.file]);
+    return res.status(400).json({
+      error: 'Invalid symptoms',
+      code: 'INVALID_SYMPTOMS',
+      details: symptomErrors
+    });
+  }
 
   try {
+    // The same photo sent again gets its earlier result instead of a second screening
+    const imageHash = await hashUpload(req.file);
+    const duplicate = await findRecentDuplicate(req.session.username, imageHash);
+    if (duplicate) {
+      await discardUploads([req.file]);
+      await recordResubmission(duplicate);
+      return res.json({
+        success: true,
+        duplicate: true,
+        status: duplicate.status,
+        inconclusive: false,
+        pending: duplicate.status === 'pending',
+        reason: null,
+        message: DUPLICATE_MESSAGE,
+        prediction: duplicate.prediction,
+        confidence: duplicate.confidence,
+        confidencePercentage: duplicate.status === 'completed' ? Math.round(duplicate.confidence * 100) : null,
+        probabilities: duplicate.probabilities || null,
+        quality: duplicate.quality || null,
+        cropBox: duplicate.cropBox || null,
+        calibration: duplicate.calibration || null,
+        uncertainty: duplicate.uncertainty || null,
+        reviewRequired: Boolean(duplicate.reviewRequired),
+        heatmapUrl: duplicate.hasHeatmap ? `/api/results/${duplicate._id}/heatmap` : null,
+        imageUrl: duplicate.hasArchivedImage ? `/api/results/${duplicate._id}/image` : null,
+        source: 'earlier_result',
+        model: { name: duplicate.modelName, version: duplicate.modelVersion },
+        savedResultId: duplicate._id,
+        screenedAt: duplicate.timestamp
+      });
+    }
+
     console.log('Processing image for prediction with local ONNX model...');
     
     // Use ModelManager to make prediction
-    const result = await modelManager.predict(imagePath);
+    const result = await modelManager.predict(image, { ...requestedModel, heatmap: true });
     console.log('Local model prediction result:', result);
+
+    if (result.qualityRejected) {
+      await discardUploads([req.file]);
+      await recordInputStats(req.session.username, result);
+      return res.status(422).json({
+        error: 'Image quality too low',
+        code: result.quality.reason,
+        message: result.quality.message,
+        quality: result.quality
+      });
+    }
     
+    // During a model outage the photo is kept and analysed once the model loads
+    const pendingImage = isModelOutage(result) ? await keepForReinference(req.file) : null;
+    const outcome = pendingAwareResult(result, pendingImage);
+
     // Save to database
     const savedResult = await savePatientResult(req.session.username, {
-      prediction: result.prediction,
+      prediction: outcome.prediction,
+      status: outcome.status,
+      reason: outcome.reason,
+      message: outcome.message,
       confidence: result.confidence,
-      symptoms: req.body.symptoms || null
+      probabilities: result.probabilities,
+      modelName: result.modelName,
+      modelVersion: result.modelVersion,
+      quality: result.quality,
+      cropBox: result.cropBox,
+      calibration: result.calibration,
+      uncertainty: result.uncertainty,
+      heatmap: result.heatmap,
+      imageHash,
+      patientProfile: await getProfileSnapshot(req.session.username),
+      symptoms
     });
 
     console.log('✅ Successfully saved prediction result:', savedResult._id);
-
-    // Clean up uploaded file
-    try {
-      await fs.unlink(imagePath);
-      console.log('✅ Cleaned up uploaded file');
-    } catch (cleanupError) {
-      console.warn('⚠️ Could not clean up file:', cleanupError.message);
+    await recordInputStats(req.session.username, result, savedResult);
+    await archiveResultImage(savedResult, pendingImage?.imagePath || image, req.file.mimetype);
+    if (pendingImage) {
+      await queuePendingInference(savedResult, pendingImage, requestedModel);
     }
 
     // Return results
     res.json({
       success: true,
-      prediction: result.prediction,
+      status: savedResult.status,
+      inconclusive: savedResult.status === 'inconclusive',
+      pending: savedResult.status === 'pending',
+      reason: outcome.reason || null,
+      message: outcome.message || null,
+      prediction: savedResult.prediction,
       confidence: result.confidence,
-      confidencePercentage: Math.round(result.confidence * 100),
+      confidencePercentage: savedResult.status === 'completed' ? Math.round(result.confidence * 100) : null,
+      probabilities: result.probabilities,
+      quality: result.quality || null,
+      cropBox: result.cropBox || null,
+      calibration: result.calibration || null,
+      uncertainty: savedResult.uncertainty,
+      reviewRequired: savedResult.reviewRequired,
+      heatmapUrl: savedResult.hasHeatmap ? `/api/results/${savedResult._id}/heatmap` : null,
+      imageUrl: savedResult.hasArchivedImage ? `/api/results/${savedResult._id}/image` : null,
       source: result.modelSource || 'local_onnx',
-      usingDefault: result.usingDefaultPrediction || false
+      model: { name: result.modelName, version: result.modelVersion },
+      savedResultId: savedResult._id
     });
 
+    // A queued photo stays with its job until processPendingInferences picks it up
+    if (pendingImage) return;
+
+    // The shadow model sees the same photo once the patient has their answer
+    await recordShadowComparison(image, result, savedResult);
+
+    // Clean up uploaded file
+    await discardUploads([req.file]);
+
   } catch (error) {
     console.error('❌ Prediction failed:', error);
     
     // Clean up uploaded file on error
-    try {
-      await fs.unlink(imagePath);
-    } catch (cleanupError) {
-      console.warn('⚠️ Could not clean up file after error:', cleanupError.message);
+    await discardUploads([req.file]);
+
+    if (error.code === 'QUEUE_FULL') {
+      return sendQueueFull(res, error);
     }
     
     res.status(500).json({
@@ -792,7 +2727,7 @@ app.post('/predict', requireAuth, upload.single('eyelid'), async (req, res) => {
 });
 
 // NEW: Alternative prediction endpoint using the updated format
-app.post('/api/predict', requireAuth, upload.single('image'), async (req, res) => {
+app.post('/api/predict', requireAuth, upload.single('image'), sanitiseUploads, async (req, res) => {
   console.log('API prediction request received from user:', req.session.username);
   
   if (!req.file) {
@@ -803,51 +2738,153 @@ app.post('/api/predict', requireAuth, upload.single('image'), async (req, res) =
     });
   }
 
-  const imagePath = req.file.path;
+  const image = uploadedImage(req.file);
+  const requestedModel = getRequestedModel(req);
+
+  if (!modelManager.hasModel(requestedModel.model, requestedModel.version)) {
+    await discardUploads([req.file]);
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown model requested',
+      message: 'The requested model name or version is not registered'
+    });
+  }
+
+  const { symptoms, errors: symptomErrors } = parseSymptoms(req.body.symptoms);
+  if (symptomErrors.length > 0) {
+    await discardUploads([req.file]);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid symptoms',
+      message: symptomErrors.join('; ')
+    });
+  }
 
   try {
+    // The same photo sent again gets its earlier result instead of a second screening
+    const imageHash = await hashUpload(req.file);
+    const duplicate = await findRecentDuplicate(req.session.username, imageHash);
+    if (duplicate) {
+      await discardUploads([req.file]);
+      await recordResubmission(duplicate);
+      return res.json({
+        success: true,
+        duplicate: true,
+        status: duplicate.status,
+        inconclusive: false,
+        pending: duplicate.status === 'pending',
+        reason: null,
+        prediction: {
+          result: duplicate.prediction,
+          confidence: duplicate.confidence,
+          confidencePercentage: duplicate.status === 'completed' ? Math.round(duplicate.confidence * 100) : null,
+          probabilities: duplicate.probabilities || null
+        },
+        quality: duplicate.quality || null,
+        cropBox: duplicate.cropBox || null,
+        calibration: duplicate.calibration || null,
+        uncertainty: duplicate.uncertainty || null,
+        reviewRequired: Boolean(duplicate.reviewRequired),
+        heatmapUrl: duplicate.hasHeatmap ? `/api/results/${duplicate._id}/heatmap` : null,
+        imageUrl: duplicate.hasArchivedImage ? `/api/results/${duplicate._id}/image` : null,
+        message: DUPLICATE_MESSAGE,
+        savedResultId: duplicate._id,
+        screenedAt: duplicate.timestamp,
+        modelSource: 'earlier_result',
+        model: { name: duplicate.modelName, version: duplicate.modelVersion }
+      });
+    }
+
     console.log('Processing image with local ONNX model...');
     
     // Use ModelManager to make prediction
-    const result = await modelManager.predict(imagePath);
+    const result = await modelManager.predict(image, { ...requestedModel, heatmap: true });
     console.log('Local model API prediction result:', result);
+
+    if (result.qualityRejected) {
+      await discardUploads([req.file]);
+      await recordInputStats(req.session.username, result);
+      return res.status(422).json({
+        success: false,
+        error: 'Image quality too low',
+        code: result.quality.reason,
+        message: result.quality.message,
+        quality: result.quality
+      });
+    }
     
+    // During a model outage the photo is kept and analysed once the model loads
+    const pendingImage = isModelOutage(result) ? await keepForReinference(req.file) : null;
+    const outcome = pendingAwareResult(result, pendingImage);
+
     // Save to database
     const savedResult = await savePatientResult(req.session.username, {
-      prediction: result.prediction,
+      prediction: outcome.prediction,
+      status: outcome.status,
+      reason: outcome.reason,
+      message: outcome.message,
       confidence: result.confidence,
-      symptoms: req.body.symptoms || null
+      probabilities: result.probabilities,
+      modelName: result.modelName,
+      modelVersion: result.modelVersion,
+      quality: result.quality,
+      cropBox: result.cropBox,
+      calibration: result.calibration,
+      uncertainty: result.uncertainty,
+      heatmap: result.heatmap,
+      imageHash,
+      patientProfile: await getProfileSnapshot(req.session.username),
+      symptoms
     });
 
     console.log('✅ API prediction saved:', savedResult._id);
-    
-    // Clean up uploaded file
-    try {
-      await fs.unlink(imagePath);
-    } catch (cleanupError) {
-      console.warn('⚠️ Could not clean up file:', cleanupError.message);
+    await recordInputStats(req.session.username, result, savedResult);
+    await archiveResultImage(savedResult, pendingImage?.imagePath || image, req.file.mimetype);
+    if (pendingImage) {
+      await queuePendingInference(savedResult, pendingImage, requestedModel);
     }
     
     res.json({
       success: true,
+      status: savedResult.status,
+      inconclusive: savedResult.status === 'inconclusive',
+      pending: savedResult.status === 'pending',
+      reason: outcome.reason || null,
       prediction: {
-        result: result.prediction,
+        result: savedResult.prediction,
         confidence: result.confidence,
-        confidencePercentage: Math.round(result.confidence * 100)
+        confidencePercentage: savedResult.status === 'completed' ? Math.round(result.confidence * 100) : null,
+        probabilities: result.probabilities
       },
-      message: 'Prediction completed successfully',
+      quality: result.quality || null,
+      cropBox: result.cropBox || null,
+      calibration: result.calibration || null,
+      uncertainty: savedResult.uncertainty,
+      reviewRequired: savedResult.reviewRequired,
+      heatmapUrl: savedResult.hasHeatmap ? `/api/results/${savedResult._id}/heatmap` : null,
+      imageUrl: savedResult.hasArchivedImage ? `/api/results/${savedResult._id}/image` : null,
+      message: savedResult.status === 'completed' ? 'Prediction completed successfully' : outcome.message,
       savedResultId: savedResult._id,
-      modelSource: result.modelSource || 'local_onnx'
+      modelSource: result.modelSource || 'local_onnx',
+      model: { name: result.modelName, version: result.modelVersion }
     });
+
+    if (pendingImage) return;
+
+    // The shadow model sees the same photo once the patient has their answer
+    await recordShadowComparison(image, result, savedResult);
+    
+    // Clean up uploaded file
+    await discardUploads([req.file]);
     
   } catch (error) {
     console.error('❌ API Prediction failed:', error);
     
     // Clean up uploaded file on error
-    try {
-      await fs.unlink(imagePath);
-    } catch (cleanupError) {
-      console.warn('⚠️ Could not clean up file after error:', cleanupError.message);
+    await discardUploads([req.file]);
+
+    if (error.code === 'QUEUE_FULL') {
+      return sendQueueFull(res, error, { success: false });
     }
     
     res.status(500).json({
@@ -859,58 +2896,290 @@ app.post('/api/predict', requireAuth, upload.single('image'), async (req, res) =
   }
 });
 
-// Send assessment to doctor
+// Batch prediction endpoint - one batched forward pass for all uploaded images
+app.post('/api/predict/batch', requireAuth, batchUpload.array('eyelids', MAX_BATCH_IMAGES), sanitiseUploads, async (req, res) => {
+  console.log('Batch prediction request received from user:', req.session.username);
+
+  const files = req.files || [];
+  // Photos moved to PENDING_UPLOAD_DIR during a model outage are not ours to delete
+  const keptFiles = new Set();
+  const cleanupFiles = () => discardUploads(files.filter(file => !keptFiles.has(file)));
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No files uploaded',
+      message: 'Please upload at least one image file'
+    });
+  }
+
+  // Optional patient label per image (same order as the files); defaults to the uploader
+  let patientLabels;
+  try {
+    patientLabels = req.body.patients ? JSON.parse(req.body.patients) : files.map(() => req.session.username);
+  } catch (parseError) {
+    patientLabels = null;
+  }
+
+  if (!Array.isArray(patientLabels) || patientLabels.length !== files.length) {
+    await cleanupFiles();
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid patients field',
+      message: 'patients must be a JSON array with one label per uploaded image'
+    });
+  }
+
+  const { symptoms, errors: symptomErrors } = parseSymptoms(req.body.symptoms);
+  if (symptomErrors.length > 0) {
+    await cleanupFiles();
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid symptoms',
+      message: symptomErrors.join('; ')
+    });
+  }
+
+  const requestedModel = getRequestedModel(req);
+  if (!modelManager.hasModel(requestedModel.model, requestedModel.version)) {
+    await cleanupFiles();
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown model requested',
+      message: 'The requested model name or version is not registered'
+    });
+  }
+
+  const screeningSessionId = crypto.randomUUID();
+
+  try {
+    const imageHashes = [];
+    for (const file of files) {
+      imageHashes.push(await hashUpload(file));
+    }
+
+    const predictions = await modelManager.predictBatch(files.map(uploadedImage), requestedModel);
+    // The uploader's profile only describes images labelled as the uploader
+    const uploaderProfile = await getProfileSnapshot(req.session.username);
+
+    // Patients are aggregated against the same operating threshold as single images
+    const decisionThreshold = predictions.find(p => p.calibration)?.calibration.threshold ?? 0.5;
+
+    const results = [];
+    for (const [index, result] of predictions.entries()) {
+      const patientLabel = String(patientLabels[index]);
+
+      // Rejected photos are reported back but never stored as a result
+      if (result.qualityRejected) {
+        await recordInputStats(req.session.username, result);
+        results.push({
+          index,
+          filename: files[index].originalname,
+          patient: patientLabel,
+          rejected: true,
+          code: result.quality.reason,
+          message: result.quality.message,
+          quality: result.quality
+        });
+        continue;
+      }
+
+      const pendingImage = isModelOutage(result) ? await keepForReinference(files[index]) : null;
+      if (pendingImage) keptFiles.add(files[index]);
+      const outcome = pendingAwareResult(result, pendingImage);
+
+      // A photo already screened recently (or earlier in this batch) is stored, but as a
+      // resubmission that points at the earlier result and stays out of the statistics
+      const duplicate = await findRecentDuplicate(req.session.username, imageHashes[index]);
+
+      const savedResult = await savePatientResult(req.session.username, {
+        prediction: outcome.prediction,
+        status: outcome.status,
+        reason: outcome.reason,
+        message: outcome.message,
+        confidence: result.confidence,
+        probabilities: result.probabilities,
+        modelName: result.modelName,
+        modelVersion: result.modelVersion,
+        screeningSessionId,
+        patientLabel,
+        imageIndex: index,
+        quality: result.quality,
+        cropBox: result.cropBox,
+        calibration: result.calibration,
+        imageHash: imageHashes[index],
+        resubmissionOf: duplicate?._id || null,
+        patientProfile: patientLabel === req.session.username ? uploaderProfile : null,
+        symptoms
+      });
+      if (pendingImage) {
+        await queuePendingInference(savedResult, pendingImage, requestedModel);
+      }
+      await recordInputStats(req.session.username, result, savedResult);
+      // A resubmitted photo is already archived with the result it repeats
+      if (!savedResult.resubmissionOf) {
+        await archiveResultImage(savedResult, pendingImage?.imagePath || uploadedImage(files[index]), files[index].mimetype);
+      }
+
+      results.push({
+        index,
+        filename: files[index].originalname,
+        patient: patientLabel,
+        status: savedResult.status,
+        inconclusive: savedResult.status === 'inconclusive',
+        pending: savedResult.status === 'pending',
+        reason: outcome.reason || null,
+        message: outcome.message || null,
+        prediction: savedResult.prediction,
+        confidence: result.confidence,
+        confidencePercentage: savedResult.status === 'completed' ? Math.round(result.confidence * 100) : null,
+        probabilities: result.probabilities,
+        quality: result.quality || null,
+        cropBox: result.cropBox || null,
+        resubmissionOf: savedResult.resubmissionOf,
+        imageUrl: savedResult.hasArchivedImage ? `/api/results/${savedResult._id}/image` : null,
+        savedResultId: savedResult._id
+      });
+    }
+
+    // Aggregate per patient by averaging P(Anemic) over that patient's images
+    const byPatient = new Map();
+    results.forEach(result => {
+      if (!byPatient.has(result.patient)) byPatient.set(result.patient, []);
+      byPatient.get(result.patient).push(result);
+    });
+
+    const patients = [...byPatient.entries()].map(([patient, allResults]) => {
+      const patientResults = allResults.filter(r => !r.rejected && !r.inconclusive && !r.pending);
+      const rejectedImages = allResults.filter(r => r.rejected).length;
+      const inconclusiveImages = allResults.filter(r => r.inconclusive).length;
+      const pendingImages = allResults.filter(r => r.pending).length;
+
+      if (patientResults.length === 0) {
+        return {
+          patient,
+          images: 0,
+          rejectedImages,
+          inconclusiveImages,
+          pendingImages,
+          prediction: pendingImages > 0 ? 'Pending' : 'Inconclusive',
+          confidence: null,
+          confidencePercentage: null
+        };
+      }
+
+      const anemic = patientResults.reduce((sum, r) => sum + r.probabilities.anemic, 0) / patientResults.length;
+      const prediction = anemic >= decisionThreshold ? 'Anemic' : 'Non-anemic';
+      const confidence = prediction === 'Anemic' ? anemic : 1 - anemic;
+      return {
+        patient,
+        images: patientResults.length,
+        rejectedImages,
+        inconclusiveImages,
+        pendingImages,
+        prediction,
+        confidence,
+        confidencePercentage: Math.round(confidence * 100),
+        probabilities: { anemic, nonAnemic: 1 - anemic },
+        anemicImages: patientResults.filter(r => r.prediction === 'Anemic').length
+      };
+    });
+
+    console.log(`✅ Batch screening ${screeningSessionId} saved ${results.filter(r => !r.rejected).length} results for ${patients.length} patient(s)`);
+
+    res.json({
+      success: true,
+      screeningSessionId,
+      results,
+      patients,
+      decisionThreshold,
+      model: { name: predictions[0].modelName, version: predictions[0].modelVersion }
+    });
+  } catch (error) {
+    console.error('❌ Batch prediction failed:', error);
+
+    if (error.code === 'QUEUE_FULL') {
+      return sendQueueFull(res, error, { success: false });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Batch prediction failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    await cleanupFiles();
+  }
+});
+
+// Risk levels from the symptom checker ('Moderate', 'Lower') in the assessment's terms
+const RISK_LEVELS = { high: 'High', medium: 'Medium', moderate: 'Medium', low: 'Low', lower: 'Low' };
+
+// Send assessment to doctor. The assessment points at one of the sender's own screening
+// results, and its prediction and confidence are read from that record - never from the client.
 app.post('/api/sendToDoctor', requireAuth, async (req, res) => {
-  const { doctorId, assessmentData } = req.body;
+  const { doctorId, assessmentData = {} } = req.body;
+  const resultId = req.body.resultId || assessmentData.resultId;
   
   console.log('Send to doctor request:', {
     from: req.session.username,
     doctorId,
-    assessmentData
+    resultId
   });
   
-  if (!doctorId || !assessmentData) {
-    return res.status(400).json({ error: 'Missing required data.' });
+  if (!doctorId || !resultId) {
+    return res.status(400).json({ error: 'A doctor and a screening result are required.' });
   }
 
   if (!doctorProfiles[doctorId]) {
     return res.status(400).json({ error: 'Invalid doctor selected.' });
   }
 
+  const { symptoms, errors: symptomErrors } = parseSymptoms(assessmentData.symptoms);
+  if (symptomErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid symptoms', details: symptomErrors });
+  }
+
   try {
-    let prediction = assessmentData.prediction;
-    if (!prediction || (prediction !== 'Anemic' && prediction !== 'Non-anemic')) {
-      prediction = 'Non-anemic';
-      console.log('⚠️ Using default prediction for assessment');
+    const linkedResult = mongoose.isValidObjectId(resultId)
+      ? await PatientResult.findOne(
+        { _id: resultId, username: req.session.username },
+        '_id prediction confidence status symptoms'
+      ).lean()
+      : null;
+    if (!linkedResult) {
+      return res.status(404).json({ error: 'Screening result not found.' });
     }
 
+    // Inconclusive and pending results go out as such; the doctor view reads the
+    // linked result once a pending photo has been analysed
     const assessment = new DoctorAssessment({
       doctorId,
       from: req.session.username,
-      prediction: prediction,
-      confidence: assessmentData.confidence || 0.8,
-      symptoms: assessmentData.symptoms || {},
-      riskLevel: assessmentData.riskLevel || 'Medium',
+      prediction: linkedResult.prediction,
+      confidence: linkedResult.status === 'completed' ? linkedResult.confidence : null,
+      confidenceSemantics: 'class_probability',
+      resultId: linkedResult._id,
+      patientProfile: await getProfileSnapshot(req.session.username),
+      symptoms: symptoms || {},
+      riskLevel: RISK_LEVELS[String(assessmentData.riskLevel).toLowerCase()] || 'Medium',
       status: 'pending'
     });
 
     const savedAssessment = await assessment.save();
     console.log('✅ Assessment saved:', savedAssessment._id);
 
-    const resultWithSymptoms = {
-      prediction: prediction,
-      confidence: assessmentData.confidence || 0.8,
-      symptoms: assessmentData.symptoms || {}
-    };
-    
-    const savedResult = await savePatientResult(req.session.username, resultWithSymptoms);
-    console.log('✅ Patient result saved:', savedResult._id);
+    // Symptoms reported with the assessment belong to the screening they were sent with
+    if (symptoms && !linkedResult.symptoms) {
+      await PatientResult.updateOne({ _id: linkedResult._id }, { $set: { symptoms } });
+    }
 
     console.log(`✅ Assessment sent to doctor ${doctorId} from user ${req.session.username}`);
     res.json({ 
       success: true, 
       message: `Assessment sent to ${doctorProfiles[doctorId].name} successfully.`,
-      assessmentId: savedAssessment._id
+      assessmentId: savedAssessment._id,
+      resultId: linkedResult._id
     });
   } catch (error) {
     console.error('❌ Error saving assessment:', error);
@@ -949,6 +3218,220 @@ app.get('/api/getDoctorAssessments', requireAuth, async (req, res) => {
   }
 });
 
+// The patient who owns a result, or a doctor who received an assessment linked to it
+const canViewResult = async (req, result) => {
+  if (result.username === req.session.username) return true;
+  if (req.session.role !== 'doctor') return false;
+  return Boolean(await DoctorAssessment.exists({ resultId: result._id, doctorId: req.session.doctorId }));
+};
+
+// Explainability heatmap PNG for one result: the patient who owns it, a doctor
+// who received an assessment linked to it, or an admin
+app.get('/api/results/:id/heatmap', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Heatmap not found' });
+    }
+
+    const result = await PatientResult.findById(req.params.id, 'username hasHeatmap').lean();
+    if (!result || !result.hasHeatmap) {
+      return res.status(404).json({ error: 'Heatmap not found' });
+    }
+
+    if (req.session.role !== 'admin' && !(await canViewResult(req, result))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const heatmap = await ResultHeatmap.findOne({ resultId: result._id }, 'image contentType');
+    if (!heatmap) {
+      return res.status(404).json({ error: 'Heatmap not found' });
+    }
+
+    res.set('Content-Type', heatmap.contentType);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(heatmap.image);
+  } catch (error) {
+    console.error('Error fetching heatmap:', error);
+    res.status(500).json({ error: 'Failed to fetch heatmap' });
+  }
+});
+
+// Archived eyelid photo for one result: the patient who owns it, a doctor who received
+// an assessment linked to it, or an admin when the patient agreed to research use
+app.get('/api/results/:id/image', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const result = await PatientResult.findById(req.params.id, 'username hasArchivedImage').lean();
+    if (!result || !result.hasArchivedImage) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const archived = await ArchivedImage.findOne({ resultId: result._id }, 'image contentType research');
+    if (!archived) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const allowed = await canViewResult(req, result) || (req.session.role === 'admin' && archived.research);
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.set('Content-Type', archived.contentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(archived.image);
+  } catch (error) {
+    console.error('Error fetching archived photo:', error);
+    res.status(500).json({ error: 'Failed to fetch photo' });
+  }
+});
+
+// A patient can delete any of their archived photos at any time
+app.delete('/api/results/:id/image', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const deleted = await deleteArchivedImages({ resultId: req.params.id, username: req.session.username });
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting archived photo:', error);
+    res.status(500).json({ error: 'Failed to delete photo' });
+  }
+});
+
+// Profile of the logged-in patient, with the risk factors it implies today
+app.get('/api/profile', requireAuth, async (req, res) => {
+  try {
+    const profile = await PatientProfile.findOne({ username: req.session.username }).lean();
+    res.json({
+      profile,
+      snapshot: profileSnapshot(profile),
+      riskFactorLabels: PROFILE_RISK_FACTORS
+    });
+  } catch (error) {
+    console.error('Error fetching patient profile:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Create or update the profile. Results already saved keep the snapshot they were saved with.
+app.post('/api/profile', requireAuth, async (req, res) => {
+  const { profile, errors } = parseProfileUpdate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid profile', details: errors });
+  }
+
+  try {
+    const saved = await PatientProfile.findOneAndUpdate(
+      { username: req.session.username },
+      { $set: profile },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+    console.log(`👤 Profile updated for ${req.session.username}`);
+    res.json({ success: true, profile: saved, snapshot: profileSnapshot(saved) });
+  } catch (error) {
+    console.error('Error updating patient profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Image archive consent of the logged-in user, with the retention periods it implies
+app.get('/api/image-consent', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.session.username }, 'imageConsent').lean();
+    const consent = user?.imageConsent || null;
+    res.json({
+      consent,
+      active: hasImageConsent(consent),
+      // Consent given for an earlier wording has to be confirmed again
+      renewalRequired: Boolean(consent?.archive) && !hasImageConsent(consent),
+      version: IMAGE_CONSENT_VERSION,
+      retentionDays: IMAGE_RETENTION_DAYS,
+      researchRetentionDays: IMAGE_RESEARCH_RETENTION_DAYS,
+      archivedImages: await ArchivedImage.countDocuments({ username: req.session.username })
+    });
+  } catch (error) {
+    console.error('Error fetching image consent:', error);
+    res.status(500).json({ error: 'Failed to fetch consent' });
+  }
+});
+
+// Opt in or out. Withdrawing consent deletes the archived photos straight away;
+// withdrawing research use only shortens their retention. Consent applies to photos
+// taken from now on - it never extends the retention of photos already kept.
+app.post('/api/image-consent', requireAuth, async (req, res) => {
+  const archive = req.body.archive === true || req.body.archive === 'true';
+  const research = archive && (req.body.research === true || req.body.research === 'true');
+  const username = req.session.username;
+
+  try {
+    const consent = { archive, research, version: IMAGE_CONSENT_VERSION, updated_at: new Date() };
+    await User.updateOne({ username }, { $set: { imageConsent: consent } });
+
+    let deletedImages = 0;
+    if (!archive) {
+      deletedImages = await deleteArchivedImages({ username });
+      // Heatmaps of photos that were never archived are drawn over the photo too
+      await deleteResultHeatmaps({ username });
+    } else if (!research) {
+      await ArchivedImage.updateMany(
+        { username, research: true },
+        [{ $set: { research: false, expiresAt: { $add: ['$created_at', IMAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000] } } }]
+      );
+      deletedImages = await deleteArchivedImages({ username, expiresAt: { $lte: new Date() } });
+    }
+
+    await ConsentEvent.create({ username, archive, research, version: IMAGE_CONSENT_VERSION, deletedImages });
+    console.log(`🗂️ Image archive consent for ${username}: archive=${archive}, research=${research}${deletedImages ? ` (${deletedImages} photo(s) deleted)` : ''}`);
+
+    res.json({ success: true, consent, active: archive, deletedImages });
+  } catch (error) {
+    console.error('Error updating image consent:', error);
+    res.status(500).json({ error: 'Failed to update consent' });
+  }
+});
+
+// Unread notifications for the logged-in user (e.g. a queued screening that has been analysed)
+app.get('/api/notifications', requireAuth, async (req, res) => {
+  try {
+    const notifications = await Notification.find({ username: req.session.username, read: false })
+      .sort({ created_at: -1 })
+      .limit(20)
+      .lean();
+    res.json({ notifications });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.post('/api/notifications/:id/read', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const updated = await Notification.updateOne(
+      { _id: req.params.id, username: req.session.username },
+      { $set: { read: true } }
+    );
+    if (updated.matchedCount === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
 // API endpoint to get patient history
 app.get('/api/patient-history', requireAuth, async (req, res) => {
   try {
@@ -963,14 +3446,22 @@ app.get('/api/patient-history', requireAuth, async (req, res) => {
 // Get patient statistics
 app.get('/api/patient-stats', requireAuth, async (req, res) => {
   try {
-    const results = await getPatientResults(req.session.username);
+    const history = await getPatientResults(req.session.username);
+    // Inconclusive and pending attempts carry no prediction - count them, but keep them out of the numbers.
+    // Resubmitted photos repeat an earlier result and are left out too.
+    const results = history.filter(r => r.status !== 'inconclusive' && r.status !== 'pending' && !r.resubmissionOf);
+    const inconclusiveTests = history.filter(r => r.status === 'inconclusive').length;
+    const pendingTests = history.filter(r => r.status === 'pending').length;
     
     if (results.length === 0) {
       return res.json({
         totalTests: 0,
         anemicResults: 0,
         normalResults: 0,
+        inconclusiveTests,
+        pendingTests,
         avgConfidence: 0,
+        avgAnemicProbability: 0,
         thisWeekTests: 0,
         lastTest: null,
         trend: 'stable'
@@ -981,6 +3472,8 @@ app.get('/api/patient-stats', requireAuth, async (req, res) => {
     const anemicResults = results.filter(r => r.prediction === 'Anemic').length;
     const normalResults = results.filter(r => r.prediction === 'Non-anemic').length;
     const avgConfidence = results.reduce((sum, r) => sum + r.confidence, 0) / totalTests;
+    const anemicProbability = (r) => r.probabilities?.anemic ?? (r.prediction === 'Anemic' ? r.confidence : 1 - r.confidence);
+    const avgAnemicProbability = results.reduce((sum, r) => sum + anemicProbability(r), 0) / totalTests;
 
     const weekAgo = new Date();
     weekAgo.setDate(weekAgo.getDate() - 7);
@@ -994,18 +3487,22 @@ app.get('/api/patient-stats', requireAuth, async (req, res) => {
     if (results.length >= 6) {
       const recent3 = results.slice(0, 3);
       const previous3 = results.slice(3, 6);
-      const recentAvg = recent3.reduce((sum, r) => sum + r.confidence, 0) / 3;
-      const previousAvg = previous3.reduce((sum, r) => sum + r.confidence, 0) / 3;
+      const recentAvg = recent3.reduce((sum, r) => sum + anemicProbability(r), 0) / 3;
+      const previousAvg = previous3.reduce((sum, r) => sum + anemicProbability(r), 0) / 3;
       
-      if (recentAvg > previousAvg + 0.1) trend = 'improving';
-      else if (recentAvg < previousAvg - 0.1) trend = 'declining';
+      // A falling anemia probability is an improvement
+      if (recentAvg < previousAvg - 0.1) trend = 'improving';
+      else if (recentAvg > previousAvg + 0.1) trend = 'declining';
     }
 
     res.json({
       totalTests,
       anemicResults,
       normalResults,
+      inconclusiveTests,
+      pendingTests,
       avgConfidence: Math.round(avgConfidence * 100),
+      avgAnemicProbability: Math.round(avgAnemicProbability * 100),
       thisWeekTests,
       lastTest,
       trend
@@ -1085,6 +3582,18 @@ app.get('/api/model-status', requireAuth, (req, res) => {
   }
 });
 
+app.get('/api/models', requireAuth, (req, res) => {
+  try {
+    res.json({
+      defaultModel: modelManager.defaultModelName,
+      models: modelManager.listModels()
+    });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    res.status(500).json({ error: 'Failed to list models' });
+  }
+});
+
 app.post('/api/model/retry-load', requireAuth, async (req, res) => {
   try {
     console.log('🔄 Manual model reload requested by:', req.session.username);
@@ -1107,6 +3616,8 @@ app.post('/api/model/clear-cache', requireAuth, async (req, res) => {
   }
 });
 
+const MAX_CONCLUSION_LENGTH = 2000;
+
 // Doctor dashboard
 app.get('/doctor/:id', requireAuth, async (req, res) => {
   const { id } = req.params;
@@ -1136,6 +3647,17 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
     const assessments = await DoctorAssessment.find({ doctorId: id })
       .sort({ timestamp: -1 })
       .lean();
+
+    // Linked screening results: explainability heatmaps, inconclusive outcomes and
+    // photos that were queued during a model outage and analysed later
+    const linkedResultIds = assessments.map(a => a.resultId).filter(Boolean);
+    const linkedResults = await PatientResult.find(
+      { _id: { $in: linkedResultIds } },
+      '_id hasHeatmap hasArchivedImage status statusReason statusMessage prediction confidence uncertainty reviewRequired'
+    ).lean();
+    const linkedById = new Map(linkedResults.map(r => [String(r._id), r]));
+    const heatmapResultIds = new Set(linkedResults.filter(r => r.hasHeatmap).map(r => String(r._id)));
+    const imageResultIds = new Set(linkedResults.filter(r => r.hasArchivedImage).map(r => String(r._id)));
     
     const modelStatus = modelManager.getModelStatus();
     
@@ -1272,6 +3794,47 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
             background: #e8f5e8;
             color: #2e7d32;
           }
+          .patient-profile {
+            margin-bottom: 12px;
+            color: #444;
+          }
+          .risk-factor {
+            display: inline-block;
+            background: #ffebee;
+            color: #c62828;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 0.85em;
+            margin: 4px 4px 0 0;
+          }
+          .conclusion-form {
+            margin-top: 15px;
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            align-items: center;
+          }
+          .conclusion-form label {
+            width: 100%;
+          }
+          .conclusion-form textarea {
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #c8e6c9;
+            border-radius: 6px;
+            font-family: inherit;
+          }
+          .conclusion-form button {
+            background: #2e7d32;
+            color: white;
+            border: none;
+            padding: 6px 16px;
+            border-radius: 6px;
+            cursor: pointer;
+          }
+          .conclusion-form small {
+            color: #666;
+          }
           .symptoms-grid {
             display: grid;
             grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
@@ -1299,6 +3862,30 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
             font-style: italic;
             padding: 40px;
           }
+          .inconclusive {
+            background: #fff8e1;
+            border-left: 4px solid #ffa000;
+            color: #6d4c00;
+            padding: 10px 14px;
+            border-radius: 6px;
+          }
+          .inconclusive small {
+            color: #8d6e63;
+          }
+          .heatmap, .eyelid-photo {
+            margin-top: 15px;
+          }
+          .heatmap img, .eyelid-photo img {
+            display: block;
+            max-width: 100%;
+            width: 360px;
+            margin: 8px 0 4px;
+            border-radius: 8px;
+            border: 1px solid #e0e0e0;
+          }
+          .heatmap small, .eyelid-photo small {
+            color: #666;
+          }
           .onnx-badge {
             background: #e3f2fd;
             color: #1976d2;
@@ -1356,32 +3943,92 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
         const date = new Date(assessment.timestamp).toLocaleString();
         const riskClass = assessment.riskLevel ? 
           `risk-${assessment.riskLevel.toLowerCase()}` : 'risk-medium';
+        const linkedResult = assessment.resultId ? linkedById.get(String(assessment.resultId)) : null;
+        const inconclusive = assessment.prediction === 'Inconclusive' || linkedResult?.status === 'inconclusive';
+        const pending = linkedResult?.status === 'pending';
+        // Sent while the photo was queued; the linked result holds the later analysis
+        const analysedLater = assessment.prediction === 'Pending' && linkedResult?.status === 'completed';
+        const shownPrediction = analysedLater ? linkedResult.prediction : assessment.prediction;
+        const shownConfidence = analysedLater ? linkedResult.confidence : assessment.confidence;
         
         html += `
           <div class="assessment-card">
             <div class="assessment-header">
               <div class="assessment-meta">
-                <strong>From:</strong> ${assessment.from} | 
+                <strong>From:</strong> ${escapeHtml(assessment.from)} | 
                 <strong>Received:</strong> ${date}
               </div>
               <div class="risk-badge ${riskClass}">
                 ${assessment.riskLevel || 'Medium'} Risk
               </div>
             </div>
+
+            ${assessment.patientProfile ? `
+              <div class="patient-profile">
+                <strong>Patient:</strong> ${describeProfile(assessment.patientProfile)}
+                <div>${assessment.patientProfile.riskFactors.map(factor =>
+                  `<span class="risk-factor">${PROFILE_RISK_FACTORS[factor] || factor}</span>`).join('')}</div>
+              </div>
+            ` : ''}
             
-            <div><strong>Prediction:</strong> ${assessment.prediction || 'N/A'}</div>
-            <div><strong>Confidence:</strong> ${Math.round((assessment.confidence || 0.8) * 100)}%</div>
+            ${pending ? `
+              <div class="inconclusive">
+                <strong>⏳ AI screening pending</strong> - the photo will be analysed as soon as the model is available.
+              </div>
+            ` : inconclusive ? `
+              <div class="inconclusive">
+                <strong>⚠️ AI screening inconclusive</strong> - no prediction was made for this photo.
+                ${linkedResult?.statusMessage ? `<div>${linkedResult.statusMessage}</div>` : ''}
+                ${linkedResult?.statusReason ? `<small>Reason: ${linkedResult.statusReason}</small>` : ''}
+              </div>
+            ` : `
+              <div><strong>Prediction:</strong> ${shownPrediction || 'N/A'}</div>
+              <div><strong>Confidence:</strong> ${Number.isFinite(shownConfidence) ? `${Math.round(shownConfidence * 100)}%` : 'N/A'}</div>
+              ${linkedResult?.reviewRequired ? `
+                <div class="inconclusive">
+                  <strong>🎲 Uncertain AI result - review needed</strong> - the prediction changed noticeably across ${linkedResult.uncertainty.views} slightly altered views of the photo.
+                  <small>P(Anemic) ranged from ${Math.round(linkedResult.uncertainty.min * 100)}% to ${Math.round(linkedResult.uncertainty.max * 100)}% (spread ±${Math.round(linkedResult.uncertainty.std * 100)}%).</small>
+                </div>
+              ` : ''}
+            `}
+
+            ${assessment.resultId && imageResultIds.has(String(assessment.resultId)) ? `
+              <div class="eyelid-photo">
+                <strong>Eyelid photo:</strong>
+                <img src="/api/results/${assessment.resultId}/image" alt="Eyelid photo submitted by the patient" loading="lazy">
+                <small>Shared by the patient with their consent.</small>
+              </div>
+            ` : ''}
+
+            ${assessment.resultId && heatmapResultIds.has(String(assessment.resultId)) ? `
+              <div class="heatmap">
+                <strong>What the model looked at:</strong>
+                <img src="/api/results/${assessment.resultId}/heatmap" alt="Model attention heatmap" loading="lazy">
+                <small>Warmer colours mark the areas that most influenced the ${shownPrediction || 'AI'} result.</small>
+              </div>
+            ` : ''}
             
             ${assessment.symptoms ? `
               <div style="margin-top: 15px;">
                 <strong>Symptoms:</strong>
                 <div class="symptoms-grid">
                   ${Object.entries(assessment.symptoms).map(([symptom, value]) => 
-                    `<div class="symptom-item symptom-${value}">${symptom}: ${value}</div>`
+                    `<div class="symptom-item symptom-${escapeHtml(value)}">${escapeHtml(symptom)}: ${escapeHtml(value)}</div>`
                   ).join('')}
                 </div>
               </div>
             ` : ''}
+
+            <form class="conclusion-form" method="POST" action="/doctor/${id}/assessments/${assessment._id}/conclusion">
+              <label for="conclusion-${assessment._id}"><strong>Your conclusion:</strong></label>
+              <textarea id="conclusion-${assessment._id}" name="conclusion" rows="3" maxlength="${MAX_CONCLUSION_LENGTH}">${escapeHtml(assessment.conclusion || '')}</textarea>
+              <select name="status">
+                <option value="reviewed" ${assessment.status !== 'completed' ? 'selected' : ''}>Preliminary</option>
+                <option value="completed" ${assessment.status === 'completed' ? 'selected' : ''}>Final</option>
+              </select>
+              <button type="submit">Save</button>
+              ${assessment.reviewed_at ? `<small>Last saved ${new Date(assessment.reviewed_at).toLocaleString()}</small>` : ''}
+            </form>
           </div>
         `;
       });
@@ -1400,6 +4047,128 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
   }
 });
 
+// The doctor's conclusion on an assessment: 'reviewed' is preliminary, 'completed' final
+app.post('/doctor/:id/assessments/:assessmentId/conclusion', requireAuth, async (req, res) => {
+  const { id, assessmentId } = req.params;
+  if (req.session.role !== 'doctor' || req.session.doctorId !== id) {
+    return res.status(403).send('<h3>Access Denied</h3><p>You can only review assessments sent to you.</p>');
+  }
+
+  const conclusion = typeof req.body.conclusion === 'string' ? req.body.conclusion.trim() : '';
+  const status = req.body.status === 'completed' ? 'completed' : 'reviewed';
+  if (conclusion.length > MAX_CONCLUSION_LENGTH) {
+    return res.status(400).send(`<h3>Conclusion too long</h3><p>At most ${MAX_CONCLUSION_LENGTH} characters.</p><a href="/doctor/${id}">Back</a>`);
+  }
+
+  try {
+    const updated = mongoose.isValidObjectId(assessmentId)
+      ? await DoctorAssessment.updateOne(
+        { _id: assessmentId, doctorId: id },
+        { $set: { conclusion: conclusion || null, status, reviewed_by: req.session.username, reviewed_at: new Date() } }
+      )
+      : { matchedCount: 0 };
+    if (updated.matchedCount === 0) {
+      return res.status(404).send('<h3>Assessment not found</h3>');
+    }
+
+    console.log(`🩺 ${req.session.username} ${status === 'completed' ? 'completed' : 'reviewed'} assessment ${assessmentId}`);
+    res.redirect(`/doctor/${id}`);
+  } catch (error) {
+    console.error('Error saving conclusion:', error);
+    res.status(500).send('Error saving conclusion');
+  }
+});
+
+// FHIR R4 Bundle (type 'collection') of screening results, symptom answers and doctor
+// assessments. Patients export their own records, doctors the assessments sent to them
+// (and the screenings those link to), admins one patient (patient=username) or everyone.
+// from / to limit the records by date.
+app.get('/api/fhir/bundle', requireAuth, async (req, res) => {
+  const from = req.query.from ? new Date(req.query.from) : null;
+  // A plain date as the end of the range includes that whole day
+  const to = req.query.to
+    ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(req.query.to) ? `${req.query.to}T23:59:59.999Z` : req.query.to)
+    : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime())) || (from && to && from > to)) {
+    return res.status(400).json({ error: 'from and to must be dates with from before to' });
+  }
+
+  const role = req.session.role;
+  const patient = role === 'admin' || role === 'doctor' ? req.query.patient || null : req.session.username;
+
+  const period = {};
+  if (from) period.$gte = from;
+  if (to) period.$lte = to;
+  const inPeriod = from || to ? { timestamp: period } : {};
+
+  try {
+    let assessments;
+    let results;
+    if (role === 'doctor') {
+      // A screening sent to the doctor is exported with its assessment, whatever its date
+      assessments = await DoctorAssessment.find({
+        doctorId: req.session.doctorId,
+        ...(patient ? { from: patient } : {}),
+        ...inPeriod
+      }).sort({ timestamp: 1 }).limit(FHIR_MAX_RESULTS + 1).lean();
+      results = await PatientResult.find({ _id: { $in: assessments.map(a => a.resultId).filter(Boolean) } })
+        .sort({ timestamp: 1 })
+        .lean();
+    } else {
+      results = await PatientResult.find({ ...(patient ? { username: patient } : {}), ...inPeriod })
+        .sort({ timestamp: 1 })
+        .limit(FHIR_MAX_RESULTS + 1)
+        .lean();
+      assessments = await DoctorAssessment.find({ ...(patient ? { from: patient } : {}), ...inPeriod })
+        .sort({ timestamp: 1 })
+        .limit(FHIR_MAX_RESULTS + 1)
+        .lean();
+    }
+
+    if (results.length > FHIR_MAX_RESULTS || assessments.length > FHIR_MAX_RESULTS) {
+      return res.status(413).json({ error: `More than ${FHIR_MAX_RESULTS} records - narrow the date range or export one patient at a time` });
+    }
+
+    const usernames = [...new Set([
+      ...(patient ? [patient] : []),
+      ...results.map(r => r.username),
+      ...assessments.map(a => a.from)
+    ])];
+    const [users, profiles] = await Promise.all([
+      User.find({ username: { $in: usernames } }, 'username full_name is_active').lean(),
+      PatientProfile.find({ username: { $in: usernames } }).lean()
+    ]);
+    if (patient && role === 'admin' && !users.length && !results.length && !assessments.length) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    const usersByName = new Map(users.map(user => [user.username, user]));
+    const profilesByName = new Map(profiles.map(profile => [profile.username, profile]));
+    const bundle = fhir.buildBundle({
+      baseUrl: FHIR_BASE_URL || `${req.protocol}://${req.get('host')}/api/fhir`,
+      patients: usernames.map(username => ({
+        username,
+        user: usersByName.get(username),
+        profile: profilesByName.get(username)
+      })),
+      results,
+      assessments,
+      doctorNames: Object.fromEntries(Object.entries(doctorProfiles).map(([doctorId, doctor]) => [doctorId, doctor.name]))
+    });
+
+    if (role === 'admin') {
+      await logAdminAction(req.session.username, 'FHIR_EXPORT', patient,
+        `${results.length} results, ${assessments.length} assessments${from || to ? ` (${from ? from.toISOString() : '...'} - ${to ? to.toISOString() : '...'})` : ''}`);
+    }
+
+    res.type('application/fhir+json');
+    res.send(JSON.stringify(bundle));
+  } catch (error) {
+    console.error('Error building FHIR bundle:', error);
+    res.status(500).json({ error: 'Failed to build FHIR bundle' });
+  }
+});
+
 // Logout route
 app.post('/logout', (req, res) => {
   req.session.destroy((err) => {
@@ -1424,12 +4193,21 @@ app.get('/health', async (req, res) => {
     uptime: process.uptime(),
     localModel: {
       status: modelStatus.isLoaded ? 'loaded' : 'not_loaded',
+      state: modelStatus.state,
+      error: modelStatus.error,
       modelSource: modelStatus.modelSource,
       repository: modelStatus.repository,
       isLoading: modelStatus.isLoading,
       loadAttempts: modelStatus.loadAttempts,
-      maxAttempts: modelStatus.maxAttempts
-    }
+      maxAttempts: modelStatus.maxAttempts,
+      models: modelStatus.models.map(model => ({
+        name: model.name,
+        version: model.version,
+        status: model.isLoaded ? 'loaded' : 'not_loaded',
+        state: model.state
+      }))
+    },
+    inferencePool: modelManager.getPoolStats()
   };
 
   res.json(health);
@@ -1443,10 +4221,33 @@ async function startServer() {
     // Connect to MongoDB
     await mongoose.connect(MONGODB_URI);
     console.log('✅ Connected to MongoDB database');
+
+    // Bring stored confidence values in line with per-class probabilities
+    await migrateConfidenceSemantics();
     
     // Initialize ModelManager
     console.log('🤖 Initializing local ONNX model...');
     await modelManager.initialize();
+    await loadActiveCalibrations();
+
+    // Photos queued during a model outage are analysed as soon as a model (re)loads
+    modelManager.on('modelLoaded', () => processPendingInferences());
+    await processPendingInferences();
+
+    // Drift alerts are only raised by this timer; the drift report just reads them
+    if (DRIFT_CHECK_INTERVAL_MINUTES > 0) {
+      setInterval(() => {
+        checkDrift().catch(error => console.error('❌ Drift check failed:', error));
+      }, DRIFT_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+    }
+    
+    // Archived photos are deleted once their retention period is over
+    await purgeExpiredImages().catch(error => console.error('❌ Photo purge failed:', error));
+    if (IMAGE_PURGE_INTERVAL_MINUTES > 0) {
+      setInterval(() => {
+        purgeExpiredImages().catch(error => console.error('❌ Photo purge failed:', error));
+      }, IMAGE_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+    }
     
     // Create default accounts
     await createDefaultAdmin();
@@ -1471,8 +4272,8 @@ async function startServer() {
       console.log('   Doctor 3: doctor3 / doctor3');
       console.log('');
       if (!modelStatus.isLoaded) {
-        console.log('⚠️ Warning: Local ONNX model not loaded!');
-        console.log('   The system will use default predictions until the model loads.');
+        console.log(`⚠️ Warning: Local ONNX model not loaded! (${modelStatus.state}${modelStatus.error ? `: ${modelStatus.error}` : ''})`);
+        console.log('   Photos are queued and analysed automatically once the model loads.');
         console.log('   Check the model status at /api/model-status');
       }
     });